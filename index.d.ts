@@ -5,12 +5,26 @@
 export interface ScrapingOptions {
   /** Request timeout in milliseconds */
   timeout?: number;
-  /** Number of retries per method */
+  /** Largest response body to download in bytes; larger ones are aborted with a "too large" error (default: 20MB) */
+  maxBytes?: number;
+  /** Retries per method for retryable failures: timeouts, connection errors, 5xx, 429, browser crashes (default: 2) */
   retries?: number;
+  /** Base delay before the first retry in milliseconds; doubles on each retry, with jitter (default: 500) */
+  retryDelay?: number;
+  /** Longest delay between retries, including Retry-After, in milliseconds (default: 30000) */
+  retryMaxDelay?: number;
+  /** Also retry POST, PATCH and other non-idempotent requests (default: false) */
+  retryNonIdempotent?: boolean;
   /** Enable detailed logging */
   verbose?: boolean;
   /** Path to Lightpanda binary */
   lightpandaPath?: string;
+  /** Most Puppeteer pages open at once; further scrapes wait for a free page (default: 5) */
+  maxConcurrentPages?: number;
+  /** Pages a Puppeteer browser serves before it is replaced by a fresh one (default: 100) */
+  browserRecycleAfter?: number;
+  /** Run Lightpanda as a persistent CDP server driven through Puppeteer; falls back to `lightpanda fetch` without Puppeteer (default: true) */
+  lightpandaServer?: boolean;
   /** Custom user agent string */
   userAgent?: string;
   /** BNCA API key for backend services */
@@ -31,6 +45,437 @@ export interface ScrapingOptions {
   maxTokens?: number;
   /** HTTP referer for OpenRouter */
   referer?: string;
+  /** Anthropic API key for AI processing */
+  anthropicApiKey?: string;
+  /** Anthropic API base URL (defaults to https://api.anthropic.com) */
+  anthropicBaseUrl?: string;
+  /** Ollama server URL, e.g. http://localhost:11434 */
+  ollamaBaseUrl?: string;
+  /** llama.cpp server URL, e.g. http://localhost:8080 */
+  llamaCppBaseUrl?: string;
+  /** AI providers to try, in order (registered names or provider objects) */
+  aiProviders?: Array<string | AIProvider>;
+  /** Whether a failed AI provider falls through to the next one (default: true) */
+  aiFallback?: boolean | ((error: Error, provider: string) => boolean);
+  /** System message sent with every AI question */
+  aiSystemPrompt?: string;
+  /** User prompt template with {question} and {content} placeholders */
+  aiPromptTemplate?: string;
+  /** Turns the parsed scrape content into the text sent to the model */
+  aiContentFormatter?: (content: Record<string, any>) => string;
+  /** How askAI sends long documents: 'auto' (default), 'single', 'map-reduce' or 'refine' */
+  aiStrategy?: 'auto' | 'single' | 'map-reduce' | 'refine';
+  /** Document tokens per AI request (default: 3000) */
+  aiChunkTokens?: number;
+  /** Tokens repeated between consecutive chunks (default: 200) */
+  aiChunkOverlap?: number;
+  /** Max document tokens sent across all requests (default: no limit) */
+  aiTokenBudget?: number;
+  /** Parallel map requests for map-reduce (default: 3) */
+  aiConcurrency?: number;
+  /** Output format: 'markdown' adds a Markdown rendering of the main content (default: 'json') */
+  format?: 'json' | 'markdown';
+  /** Replace the page text with the isolated article body, without navigation or boilerplate (default: false) */
+  mainContent?: boolean;
+  /** Browser steps run after the page loads and before extraction or the screenshot; skips direct fetch */
+  actions?: PageAction[];
+  /** Follow next-page links / a page URL pattern, or scroll an infinite-scroll page, and merge every page */
+  paginate?: PaginationOptions;
+  /** Record XHR/fetch JSON responses made by the page (browser methods only; skips direct fetch) */
+  captureNetwork?: boolean | NetworkCaptureOptions;
+  /** Extra request headers, sent by direct fetch, PDF downloads and Puppeteer */
+  headers?: Record<string, string>;
+  /** HTTP auth: { username, password } for Basic, { token } for Bearer */
+  auth?: { username: string; password?: string } | { token: string };
+  /** HTTP method (default: GET, or POST when a body is set) */
+  method?: string;
+  /** Request body; plain objects are sent as JSON */
+  body?: string | Uint8Array | URLSearchParams | Record<string, unknown>;
+  /** Session whose cookie jar is sent and updated by direct fetch, PDF downloads and Puppeteer; true creates one for the instance */
+  session?: Session | boolean;
+  /** Proxy URL or rotating list: http://, https:// or socks5:// with optional user:pass@ */
+  proxy?: string | string[];
+  /** Consecutive connection failures before a proxy is rotated out (default: 3) */
+  proxyMaxFailures?: number;
+  /** How long an unhealthy proxy sits out in milliseconds (default: 60000) */
+  proxyCooldown?: number;
+  /** Per-domain rate limiting shared by every scrape, screenshot and askAI call on the instance (default: off) */
+  rateLimit?: boolean | RateLimitOptions;
+  /** HTTP response cache for direct fetches and PDF downloads (default: off) */
+  cache?: boolean | 'memory' | 'file' | CacheStore;
+  /** Directory used by the 'file' cache (default: OS temp dir) */
+  cacheDir?: string;
+  /** Freshness in milliseconds when a response has no Cache-Control or Expires (default: 0) */
+  cacheTtl?: number;
+  /** Max entries kept by the 'memory' cache (default: 500) */
+  cacheMaxEntries?: number;
+  /** Check robots.txt before scraping and honor Crawl-delay (default: false) */
+  respectRobots?: boolean;
+  /** User agent matched against robots.txt groups (defaults to userAgent) */
+  robotsUserAgent?: string;
+  /** How long a fetched robots.txt is cached in milliseconds (default: 24 hours) */
+  robotsCacheTTL?: number;
+}
+
+export interface AIMessage {
+  role: 'system' | 'user' | 'assistant';
+  content: string;
+}
+
+export interface AIRequest {
+  /** Chat messages built from the prompt configuration */
+  messages: AIMessage[];
+  /** The user's question (askAI only) */
+  question?: string;
+  /** The scraped URL */
+  url: string;
+  /** The scraped content as JSON string */
+  content: string;
+  /** JSON Schema the response must match (structured extraction only) */
+  jsonSchema?: object;
+  /** Temperature override for this request */
+  temperature?: number;
+  /** Max tokens override for this request */
+  maxTokens?: number;
+}
+
+export interface AIChunkingInfo {
+  /** Strategy used to answer */
+  strategy: 'single' | 'map-reduce' | 'refine';
+  /** Number of chunks sent */
+  chunks: number;
+  /** Estimated tokens in the full document */
+  documentTokens: number;
+  /** Whether aiTokenBudget, or the single strategy's one-chunk limit, cut the document */
+  truncated: boolean;
+  /** AI requests made */
+  calls: number;
+}
+
+export interface AIAnswerResult {
+  success: boolean;
+  answer?: string;
+  error?: string;
+  method?: string;
+  scrapeTime?: number;
+  /** AI provider that produced the answer */
+  processing?: string;
+  /** How the document was split for the model */
+  chunking?: AIChunkingInfo;
+}
+
+export interface AIProvider {
+  /** Unique provider name, used in aiProviders order lists */
+  name: string;
+  /** Whether the provider can honor request.jsonSchema */
+  structuredOutput?: boolean;
+  /** False when request.content is not sent to a model, so askAI sends long documents in one request (default: true) */
+  usesContent?: boolean;
+  /** Whether the provider is configured for these options (assumed true when omitted) */
+  isAvailable?(options: ScrapingOptions): boolean;
+  /** Resolve to the model's text response */
+  complete(request: AIRequest, options: ScrapingOptions): Promise<string>;
+}
+
+export interface OpenAICompatibleProviderConfig {
+  /** Provider name */
+  name: string;
+  /** Server base URL; /v1/chat/completions is appended */
+  baseUrl: string | ((options: ScrapingOptions) => string | undefined);
+  /** Fixed API key */
+  apiKey?: string;
+  /** Scraping option holding the API key */
+  apiKeyOption?: string;
+  /** Environment variable holding the API key */
+  apiKeyEnv?: string;
+  /** Whether the provider is unavailable without an API key (default: true) */
+  requiresApiKey?: boolean;
+  /** Extra request headers */
+  headers?: Record<string, string> | ((options: ScrapingOptions) => Record<string, string>);
+  /** Default model (the model option overrides it) */
+  model?: string;
+  /** Default model when a JSON schema response is requested (default: model) */
+  structuredModel?: string;
+  /** Name used in error messages */
+  label?: string;
+}
+
+/**
+ * Registry of AI providers used by askAI() and extractWithAI()
+ */
+export class AIProviderRegistry {
+  register(provider: AIProvider): this;
+  unregister(name: string): boolean;
+  get(name: string): AIProvider | null;
+  has(name: string): boolean;
+  list(): string[];
+}
+
+/**
+ * Create a provider for any OpenAI-compatible chat completions API
+ */
+export function createOpenAICompatibleProvider(config: OpenAICompatibleProviderConfig): AIProvider;
+
+/**
+ * Create a provider for the Anthropic Messages API
+ */
+export function createAnthropicProvider(config?: { name?: string; apiKey?: string; baseUrl?: string; model?: string }): AIProvider;
+
+/**
+ * Create a provider for a local Ollama server
+ */
+export function createOllamaProvider(config?: { name?: string; baseUrl?: string; model?: string }): AIProvider;
+
+export interface RateLimitRules {
+  /** Max requests started per second per domain (default: no limit) */
+  requestsPerSecond?: number;
+  /** Minimum delay between requests to a domain in milliseconds (default: 0) */
+  minDelay?: number;
+  /** Random extra delay of up to this many milliseconds (default: 0) */
+  jitter?: number;
+  /** Max concurrent requests per domain (default: no limit) */
+  maxInFlight?: number;
+  /** Longest pause after 429/503 responses, including Retry-After, in milliseconds (default: 5 minutes) */
+  maxBackoff?: number;
+}
+
+export interface RateLimitOptions extends RateLimitRules {
+  /** Overrides by host, e.g. { 'api.example.com': { requestsPerSecond: 1 } } */
+  domains?: Record<string, RateLimitRules>;
+}
+
+/** Scripted browser step; a failing step stops the sequence and fails the method unless `optional` is set */
+export type PageAction = (
+  | { type: 'click'; selector: string; /** Wait for the navigation the click starts */ waitForNavigation?: boolean }
+  | { type: 'type'; selector: string; text: string; /** Delay between key presses in milliseconds */ delay?: number }
+  | { type: 'select'; selector: string; value: string | string[] }
+  | { type: 'press'; key: string; /** Element to focus first */ selector?: string }
+  | { type: 'scroll'; /** Scroll this element into view */ selector?: string; /** Scroll by pixels; with no selector, x or y the page scrolls to the bottom */ x?: number; y?: number }
+  | { type: 'waitForSelector'; selector: string; visible?: boolean; hidden?: boolean }
+  | { type: 'waitForFunction'; fn: string | ((...args: any[]) => unknown); args?: unknown[]; polling?: number | 'raf' | 'mutation' }
+  | { type: 'wait'; ms: number }
+  | { type: 'evaluate'; fn: string | ((...args: any[]) => unknown); args?: unknown[] }
+) & {
+  /** Step timeout in milliseconds (defaults to timeout) */
+  timeout?: number;
+  /** Keep going when this step fails */
+  optional?: boolean;
+};
+
+export interface PageActionResult {
+  type: PageAction['type'];
+  success: boolean;
+  /** Time taken in milliseconds */
+  duration: number;
+  /** Error message of a failed step */
+  error?: string;
+  /** Set on failed optional steps */
+  optional?: boolean;
+  /** Return value of evaluate, or the selected values of select */
+  value?: unknown;
+}
+
+export interface PaginationOptions {
+  /** 'next' follows links or urlPattern; 'scroll' scrolls in Puppeteer (default: 'next' when nextSelector or urlPattern is set, else 'scroll') */
+  mode?: 'next' | 'scroll';
+  /** Selector of the next-page link; its href is followed (default: a[rel~="next"], link[rel~="next"]) */
+  nextSelector?: string;
+  /** Page URL with a {page} placeholder, e.g. '/search?page={page}' (relative to the current page) */
+  urlPattern?: string;
+  /** Page number of the start URL for urlPattern (default: 1) */
+  startPage?: number;
+  /** Selector of one listing item; items are collected per page, and an empty page ends pagination */
+  itemSelector?: string;
+  /** Max pages to fetch, or screens to scroll (default: 10) */
+  maxPages?: number;
+  /** Stop once this many items are collected */
+  maxItems?: number;
+  /** How long to wait for new content after each scroll in milliseconds (default: 2000) */
+  scrollDelay?: number;
+}
+
+export interface PaginatedPage {
+  /** Page number, starting at 1 (for scrolling, the screen number) */
+  index: number;
+  url: string;
+  /** Items found on this page (when itemSelector is set) */
+  items?: number;
+  /** Responses recorded on this page (next mode with captureNetwork) */
+  network?: CapturedResponse[];
+  /** Page height after this screen loaded (scroll mode) */
+  scrollHeight?: number;
+  /** The page's own scrape result fields (next mode) */
+  success?: boolean;
+  method?: string;
+  statusCode?: number;
+  content?: string;
+  markdown?: string | null;
+  html?: string;
+  error?: string;
+}
+
+export interface PaginatedItem {
+  /** Page the item was found on */
+  page: number;
+  /** Visible text of the item */
+  text: string;
+  /** Outer HTML of the item */
+  html: string;
+}
+
+export interface NetworkCaptureOptions {
+  /** Only record URLs matching one of these (glob with * or RegExp) */
+  include?: Array<string | RegExp> | string | RegExp;
+  /** Never record URLs matching one of these */
+  exclude?: Array<string | RegExp> | string | RegExp;
+  /** Request types to record (default: ['xhr', 'fetch']) */
+  resourceTypes?: string[];
+  /** Only record JSON responses (default: true); otherwise other bodies are kept as text */
+  jsonOnly?: boolean;
+  /** Max responses recorded per page (default: 100) */
+  maxResponses?: number;
+}
+
+export interface CapturedResponse {
+  url: string;
+  /** Request method */
+  method: string;
+  status: number;
+  /** Puppeteer resource type, e.g. 'xhr' or 'fetch' */
+  resourceType: string;
+  /** Response headers (lowercase names) */
+  headers: Record<string, string>;
+  /** Parsed JSON body (text for non-JSON responses), null when it couldn't be read */
+  body: unknown;
+  /** Why the body couldn't be read or parsed */
+  error?: string;
+}
+
+/** Screenshot options; everything except viewport and deviceScaleFactor needs Puppeteer */
+export interface ScreenshotOptions extends ScrapingOptions {
+  /** Capture the whole scrollable page instead of the viewport */
+  fullPage?: boolean;
+  /** Capture only the first element matching this CSS selector */
+  selector?: string;
+  /** Browser viewport (default: 1280x800) */
+  viewport?: { width: number; height: number };
+  /** Device pixel ratio, e.g. 2 for retina captures (default: 1) */
+  deviceScaleFactor?: number;
+  /** Image format; 'jpg' is accepted as 'jpeg' (default: 'png') */
+  type?: 'png' | 'jpeg' | 'jpg' | 'webp';
+  /** JPEG/WebP quality from 0 to 100 */
+  quality?: number;
+  /** Wait until this selector is visible before capturing */
+  waitForSelector?: string;
+}
+
+export interface ScrapeAttempt {
+  /** Fetch method: 'pdf', 'direct-fetch', 'lightpanda' or 'puppeteer' */
+  method: string;
+  /** Attempt number for this method, starting at 1 */
+  attempt: number;
+  success: boolean;
+  /** Time taken in milliseconds */
+  duration: number;
+  /** Error message of a failed attempt */
+  error?: string;
+  /** Whether a failed attempt was eligible for a retry */
+  retryable?: boolean;
+  /** HTTP status code (when known) */
+  statusCode?: number;
+  /** Proxy used for the attempt (password masked) */
+  proxy?: string;
+}
+
+export interface Cookie {
+  name: string;
+  value: string;
+  /** Domain without a leading dot */
+  domain: string;
+  path: string;
+  /** Expiry in milliseconds since epoch (null for session cookies) */
+  expires: number | null;
+  secure: boolean;
+  httpOnly: boolean;
+  /** True when the cookie only applies to the exact host that set it */
+  hostOnly: boolean;
+  sameSite: string | null;
+}
+
+/**
+ * Cookie jar following the RFC 6265 storage and matching rules
+ */
+export class CookieJar {
+  constructor(cookies?: Array<Partial<Cookie> & Pick<Cookie, 'name' | 'value' | 'domain'>>);
+  /** Store the cookies from Set-Cookie header values received from a URL */
+  setCookies(headers: string | string[], url: string): void;
+  /** Store a cookie, replacing the one with the same name, domain and path */
+  setCookie(cookie: Partial<Cookie> & Pick<Cookie, 'name' | 'value' | 'domain'>): void;
+  /** Cookies that apply to a URL, or every cookie without one */
+  getCookies(url?: string): Cookie[];
+  /** Cookie request header value for a URL */
+  getCookieHeader(url: string): string;
+  /** Remove every cookie, or only one domain's */
+  clear(domain?: string): void;
+  toJSON(): Cookie[];
+}
+
+/**
+ * A browsing session shared by a sequence of scrapes
+ */
+export class Session {
+  constructor(options?: { cookies?: CookieJar | Cookie[] });
+  /** The session's cookies */
+  cookies: CookieJar;
+  /** Save the session as JSON */
+  save(file: string): Promise<void>;
+  /** Load a saved session; a missing file gives an empty session */
+  static load(file: string): Promise<Session>;
+  toJSON(): { cookies: Cookie[] };
+}
+
+export interface CacheEntry {
+  /** Final response URL */
+  url: string;
+  status: number;
+  statusText: string;
+  /** Headers needed to serve and revalidate the entry */
+  headers: Record<string, string>;
+  /** Base64 encoded body */
+  body: string;
+  /** When the entry was stored or last revalidated (ms since epoch) */
+  storedAt: number;
+  /** When the entry goes stale (ms since epoch) */
+  expiresAt: number;
+}
+
+export interface CacheStore {
+  get(key: string): Promise<CacheEntry | null>;
+  set(key: string, entry: CacheEntry): Promise<void>;
+  delete(key: string): Promise<void>;
+  clear(): Promise<void>;
+}
+
+/**
+ * In-memory HTTP response cache (least recently used entries are evicted)
+ */
+export class MemoryCache implements CacheStore {
+  constructor(options?: { maxEntries?: number });
+  get(key: string): Promise<CacheEntry | null>;
+  set(key: string, entry: CacheEntry): Promise<void>;
+  delete(key: string): Promise<void>;
+  clear(): Promise<void>;
+}
+
+/**
+ * On-disk HTTP response cache (one JSON file per entry)
+ */
+export class FileCache implements CacheStore {
+  constructor(options?: { dir?: string });
+  get(key: string): Promise<CacheEntry | null>;
+  set(key: string, entry: CacheEntry): Promise<void>;
+  delete(key: string): Promise<void>;
+  clear(): Promise<void>;
 }
 
 export interface ScrapingResult {
@@ -40,17 +485,43 @@ export interface ScrapingResult {
   content?: string;
   /** Raw HTML content (when available) */
   html?: string;
+  /** Main content as Markdown with absolute links (when format is 'markdown') */
+  markdown?: string | null;
+  /** Data extracted with an extraction schema (set by extract()) */
+  extracted?: Record<string, unknown>;
   /** Size of the content in bytes */
   size?: number;
   /** Method used for scraping */
-  method: 'direct-fetch' | 'lightpanda' | 'puppeteer' | 'chrome-screenshot' | 'quickshot' | 'failed' | 'error';
+  method: 'direct-fetch' | 'lightpanda' | 'puppeteer' | 'pdf' | 'chrome-screenshot' | 'puppeteer-screenshot' | 'quickshot' | 'robots-blocked' | 'failed' | 'error';
   /** Whether browser rendering was needed */
   needsBrowser?: boolean;
   /** Content type from response headers */
   contentType?: string;
+  /** HTTP status code of the final response (when available) */
+  statusCode?: number;
+  /** Final URL after redirects (when available) */
+  finalUrl?: string;
+  /** Character encoding the HTML was decoded with, e.g. 'utf-8' or 'shift_jis' (direct fetch and Lightpanda) */
+  encoding?: string;
   /** Error message if scraping failed */
   error?: string;
-  /** Base64 encoded screenshot (if captured) */
+  /** True when respectRobots is enabled and robots.txt disallows the URL */
+  blockedByRobots?: boolean;
+  /** True when the response body exceeded maxBytes */
+  tooLarge?: boolean;
+  /** Proxy used for the final attempt (password masked) */
+  proxy?: string;
+  /** Every fetch attempt made, in order, including retries */
+  attempts?: ScrapeAttempt[];
+  /** Outcome of each page action that ran (when actions are set) */
+  actions?: PageActionResult[];
+  /** Page boundaries of a paginated scrape */
+  pages?: PaginatedPage[];
+  /** Items from every page, in order (when paginate.itemSelector is set) */
+  items?: PaginatedItem[];
+  /** Recorded XHR/fetch responses, in the order they arrived (when captureNetwork is set); also set on failed browser scrapes */
+  network?: CapturedResponse[];
+  /** Screenshot as a data URL, e.g. data:image/png;base64,... (if captured) */
   screenshot?: string;
   /** Performance metrics */
   performance: {
@@ -58,6 +529,8 @@ export interface ScrapingResult {
     totalTime: number;
     /** Method used for scraping */
     method?: string;
+    /** HTTP cache outcome (when caching is enabled and the method fetched over HTTP) */
+    cache?: 'hit' | 'miss' | 'revalidated';
     /** System metrics (if available) */
     systemMetrics?: SystemMetrics;
   };
@@ -67,6 +540,249 @@ export interface ScrapingResult {
   stats?: ScrapingStats;
 }
 
+export interface MainContent {
+  /** Article title */
+  title: string;
+  /** Author(s), when found */
+  byline: string | null;
+  /** Publish date (ISO 8601 when parseable) */
+  publishedAt: string | null;
+  /** Absolute URL of the lead image */
+  leadImage: string | null;
+  /** Short summary of the article */
+  excerpt: string;
+  /** Article body text */
+  text: string;
+  /** Length of the article text */
+  length: number;
+}
+
+/** Built-in value transforms for extraction schemas */
+export type ExtractionTransform = 'trim' | 'number' | 'integer' | 'boolean' | 'date' | 'url' | 'lowercase' | 'uppercase';
+
+export interface ExtractionField {
+  /** CSS selector, relative to the parent field (omit to read the parent element itself) */
+  selector?: string;
+  /** Attribute to read: 'text' (default), 'html', 'outerHTML' or any attribute name */
+  attr?: string;
+  /** Return every match as an array instead of the first match */
+  list?: boolean;
+  /** Nested fields extracted relative to each matched element */
+  fields?: ExtractionSchema;
+  /** Transform(s) applied in order to the extracted value */
+  transform?: ExtractionTransform | ExtractionTransform[];
+  /** Value used when the selector matches nothing */
+  default?: unknown;
+}
+
+/** Field name → CSS selector (text of the first match) or field definition */
+export interface ExtractionSchema {
+  [field: string]: string | ExtractionField;
+}
+
+export interface ExtractionResult<T = Record<string, unknown>> {
+  /** Whether extraction was successful */
+  success: boolean;
+  /** Extracted data, shaped like the schema */
+  data?: T;
+  /** Final URL the data was extracted from */
+  url?: string;
+  /** Method used to load the page */
+  method?: ScrapingResult['method'];
+  /** Error message if extraction failed */
+  error?: string;
+  /** Performance metrics */
+  performance: {
+    totalTime: number;
+    method?: string;
+  };
+  /** Performance statistics */
+  stats?: ScrapingStats;
+}
+
+export interface AIExtractionOptions extends ScrapingOptions {
+  /** Extra instructions for the model (what to extract, how to interpret it) */
+  instructions?: string;
+  /** Retries per provider when the response does not match the schema (default: 2) */
+  maxRetries?: number;
+}
+
+export interface AIExtractionResult<T = unknown> {
+  /** Whether a schema-valid response was obtained */
+  success: boolean;
+  /** Parsed data, validated against the JSON Schema */
+  data?: T;
+  /** Error message if extraction failed */
+  error?: string;
+  /** Validation errors from the last attempt (on failure) */
+  validationErrors?: string[];
+  /** Scraping method used */
+  method?: string;
+  /** Time to scrape in milliseconds */
+  scrapeTime?: number;
+  /** AI provider that produced the data */
+  processing?: string;
+  /** Number of completion requests made */
+  attempts?: number;
+  /** Performance metrics */
+  performance?: {
+    totalTime: number;
+  };
+}
+
+export interface CrawlOptions extends ScrapingOptions {
+  /** Maximum link depth to follow from the start URL (default: 2) */
+  maxDepth?: number;
+  /** Maximum number of pages to scrape (default: 50) */
+  maxPages?: number;
+  /** Only follow URLs matching one of these patterns (strings match as substrings, `*` is a wildcard) */
+  includePatterns?: Array<string | RegExp>;
+  /** Never follow URLs matching one of these patterns */
+  excludePatterns?: Array<string | RegExp>;
+  /** Only follow links on the start URL's origin (default: true) */
+  sameOrigin?: boolean;
+  /** Seed the crawl with URLs discovered from the site's sitemaps (default: false) */
+  useSitemap?: boolean;
+}
+
+export interface DiscoverUrlsOptions extends ScrapingOptions {
+  /** Maximum number of sitemap documents to fetch (default: 50) */
+  maxSitemaps?: number;
+  /** Maximum number of URLs to collect (default: 50000) */
+  maxUrls?: number;
+}
+
+export interface SitemapUrl {
+  /** Absolute page URL */
+  url: string;
+  /** Last modification date as written in the sitemap */
+  lastmod: string | null;
+  /** Expected change frequency (always, hourly, daily, ...) */
+  changefreq: string | null;
+  /** Priority between 0.0 and 1.0 */
+  priority: number | null;
+  /** Sitemap the URL was found in */
+  sitemap: string;
+}
+
+export interface DiscoverUrlsResult {
+  /** Whether any URLs were found */
+  success: boolean;
+  /** Normalized site origin */
+  origin: string;
+  /** Sitemap documents that were fetched */
+  sitemaps: Array<{
+    url: string;
+    type: 'index' | 'urlset' | null;
+    entries: number;
+    error?: string;
+  }>;
+  /** Discovered page URLs, deduplicated */
+  urls: SitemapUrl[];
+  /** Error message if nothing was found */
+  error?: string;
+  /** Performance metrics */
+  performance: {
+    totalTime: number;
+  };
+}
+
+export interface CrawledPage {
+  /** Normalized page URL */
+  url: string;
+  /** Link depth from the start URL */
+  depth: number;
+  /** Whether the page was scraped successfully */
+  success: boolean;
+  /** Method used for scraping */
+  method: ScrapingResult['method'];
+  /** HTTP status code (null when the method does not expose it) */
+  status: number | null;
+  /** The extracted content as JSON string */
+  content?: string;
+  /** Error message if scraping failed */
+  error?: string;
+  /** Number of links discovered on the page */
+  linksFound: number;
+}
+
+export interface CrawlResult {
+  /** Whether at least one page was scraped successfully */
+  success: boolean;
+  /** URL the crawl started from */
+  startUrl: string;
+  /** Every visited page, in crawl order */
+  pages: CrawledPage[];
+  /** Crawl summary */
+  summary?: {
+    pagesCrawled: number;
+    succeeded: number;
+    failed: number;
+    urlsDiscovered: number;
+    urlsRemaining: number;
+    maxDepthReached: number;
+  };
+  /** Error message if the crawl could not start */
+  error?: string;
+  /** Performance metrics */
+  performance: {
+    totalTime: number;
+  };
+  /** Performance statistics */
+  stats?: ScrapingStats;
+}
+
+export interface ScrapeManyOptions extends ScrapingOptions {
+  /** Maximum URLs scraped at once (default: 5) */
+  concurrency?: number;
+  /** Maximum URLs scraped at once per host (default: 2) */
+  perDomainConcurrency?: number;
+}
+
+export interface ScrapeManyResult {
+  /** Whether at least one URL was scraped successfully */
+  success: boolean;
+  /** One result per input URL, in input order */
+  results: ScrapingResult[];
+  /** Batch summary */
+  summary: {
+    total: number;
+    succeeded: number;
+    failed: number;
+    /** Number of results per scraping method */
+    byMethod: Record<string, number>;
+  };
+  /** Performance metrics */
+  performance: {
+    totalTime: number;
+  };
+  /** Performance statistics, including earlier scrapes on this instance */
+  stats: ScrapingStats;
+}
+
+export interface ScrapeProgressEvent {
+  /** URL that just finished */
+  url: string;
+  /** Position of the URL in the input list */
+  index: number;
+  /** Its scrape result */
+  result: ScrapingResult;
+  /** URLs finished so far */
+  completed: number;
+  total: number;
+  succeeded: number;
+  failed: number;
+}
+
+export interface RobotsCheckResult {
+  /** Whether robots.txt allows fetching the URL */
+  allowed: boolean;
+  /** The deciding rule, e.g. "Disallow: /private" (null when no rule matched) */
+  rule: string | null;
+  /** Crawl-delay in seconds for the matching group (null when unset) */
+  crawlDelay: number | null;
+}
+
 export interface SystemMetrics {
   /** Duration of monitoring in milliseconds */
   duration?: number;
@@ -149,13 +865,84 @@ export class BNCASmartScraper {
    */
   scrape(url: string, options?: ScrapingOptions): Promise<ScrapingResult>;
 
+  /**
+   * Extract typed JSON from a page using CSS selectors
+   * @param url The URL to extract from
+   * @param schema Field name → selector or field definition
+   * @param options Optional configuration overrides
+   * @returns Promise resolving to the extracted data
+   */
+  extract<T = Record<string, unknown>>(url: string, schema: ExtractionSchema, options?: ScrapingOptions): Promise<ExtractionResult<T>>;
+
+  /**
+   * Scrape many URLs with a bounded concurrency pool
+   * @param urls URLs to scrape
+   * @param options Concurrency limits and scraping overrides
+   * @returns Promise resolving to one result per URL, in input order
+   */
+  scrapeMany(urls: string[], options?: ScrapeManyOptions): Promise<ScrapeManyResult>;
+
+  /**
+   * Listen for batch events (the scraper is a Node.js EventEmitter)
+   * 'progress' fires after each URL of scrapeMany(); 'complete' when the batch is done
+   */
+  on(event: 'progress', listener: (event: ScrapeProgressEvent) => void): this;
+  on(event: 'complete', listener: (batch: ScrapeManyResult) => void): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
+  once(event: 'progress', listener: (event: ScrapeProgressEvent) => void): this;
+  once(event: 'complete', listener: (batch: ScrapeManyResult) => void): this;
+  once(event: string | symbol, listener: (...args: any[]) => void): this;
+  off(event: string | symbol, listener: (...args: any[]) => void): this;
+  emit(event: string | symbol, ...args: any[]): boolean;
+
+  /**
+   * Crawl a site by following links from a start URL
+   * @param startUrl The URL to start crawling from
+   * @param options Crawl options and scraping overrides
+   * @returns Promise resolving to crawl result
+   */
+  crawl(startUrl: string, options?: CrawlOptions): Promise<CrawlResult>;
+
+  /**
+   * Convert the main content of an HTML document to Markdown
+   * @param html Raw HTML
+   * @param baseUrl URL used to resolve relative links and images
+   * @param options Set mainContent to convert only the scored article body
+   * @returns Markdown text
+   */
+  convertToMarkdown(html: string, baseUrl: string, options?: { mainContent?: boolean }): string;
+
+  /**
+   * Isolate the main article of a page by scoring text and link density
+   * @param html Raw HTML
+   * @param url Page URL used to resolve the lead image
+   * @returns Article text and metadata
+   */
+  extractMainContent(html: string, url?: string): MainContent;
+
+  /**
+   * Discover a site's URLs from robots.txt sitemaps and well-known sitemap paths
+   * @param origin Site origin (e.g. "example.com" or "https://example.com")
+   * @param options Discovery options
+   * @returns Promise resolving to the discovered URLs
+   */
+  discoverUrls(origin: string, options?: DiscoverUrlsOptions): Promise<DiscoverUrlsResult>;
+
+  /**
+   * Check whether robots.txt allows fetching a URL
+   * @param url The URL to check
+   * @param options Optional configuration overrides (userAgent, robotsUserAgent)
+   * @returns Promise resolving to the robots.txt decision
+   */
+  checkRobots(url: string, options?: ScrapingOptions): Promise<RobotsCheckResult>;
+
   /**
    * Take a screenshot of a webpage
    * @param url The URL to capture
    * @param options Optional configuration overrides
    * @returns Promise resolving to screenshot result
    */
-  screenshot(url: string, options?: ScrapingOptions): Promise<ScrapingResult>;
+  screenshot(url: string, options?: ScreenshotOptions): Promise<ScrapingResult>;
 
   /**
    * Quick screenshot capture - optimized for speed
@@ -163,7 +950,7 @@ export class BNCASmartScraper {
    * @param options Optional configuration overrides
    * @returns Promise resolving to screenshot result
    */
-  quickshot(url: string, options?: ScrapingOptions): Promise<ScrapingResult>;
+  quickshot(url: string, options?: ScreenshotOptions): Promise<ScrapingResult>;
   
   /**
    * Ask AI a question about a URL
@@ -172,14 +959,34 @@ export class BNCASmartScraper {
    * @param options Optional configuration overrides
    * @returns Promise resolving to AI answer
    */
-  askAI(url: string, question: string, options?: ScrapingOptions): Promise<{
-    success: boolean;
-    answer?: string;
-    error?: string;
-    method?: string;
-    scrapeTime?: number;
-    processing?: 'openrouter' | 'openai' | 'backend' | 'local';
-  }>;
+  askAI(url: string, question: string, options?: ScrapingOptions): Promise<AIAnswerResult>;
+
+  /**
+   * Extract structured data from a URL with an LLM, validated against a JSON Schema
+   * @param url The URL to extract from
+   * @param jsonSchema JSON Schema the response must match
+   * @param options Instructions, retry count and AI/scraping overrides
+   * @returns Promise resolving to the parsed data
+   */
+  extractWithAI<T = unknown>(url: string, jsonSchema: object, options?: AIExtractionOptions): Promise<AIExtractionResult<T>>;
+
+  /**
+   * Validate a value against a JSON Schema
+   * @param value Value to validate
+   * @param schema JSON Schema
+   * @returns Validation errors (empty when valid)
+   */
+  validateJsonSchema(value: unknown, schema: object | boolean): string[];
+
+  /** Registered AI providers */
+  aiProviders: AIProviderRegistry;
+
+  /**
+   * Register a custom AI provider (or replace a built-in one)
+   * @param provider The provider to register
+   * @returns The scraper, for chaining
+   */
+  registerAIProvider(provider: AIProvider): this;
 
   /**
    * Get performance statistics for all methods
@@ -193,6 +1000,12 @@ export class BNCASmartScraper {
    */
   healthCheck(): Promise<HealthCheckResult>;
 
+  /**
+   * Remove every entry from the configured HTTP cache
+   * @param options Optional configuration overrides selecting the cache
+   */
+  clearCache(options?: ScrapingOptions): Promise<void>;
+
   /**
    * Clean up resources (browser instances, etc.)
    * @returns Promise that resolves when cleanup is complete
@@ -234,9 +1047,10 @@ export class BNCASmartScraper {
   /**
    * Extract structured content from HTML
    * @param html Raw HTML content
+   * @param url Page URL used to resolve links
    * @returns Extracted content as JSON string
    */
-  private extractContentFromHTML(html: string): string;
+  private extractContentFromHTML(html: string, url?: string): string;
 
   /**
    * Find Lightpanda binary on the system
@@ -266,13 +1080,21 @@ export class BNCASmartScraper {
  */
 export function smartScrape(url: string, options?: ScrapingOptions): Promise<ScrapingResult>;
 
+/**
+ * Convenience function for crawling a site
+ * @param startUrl The URL to start crawling from
+ * @param options Crawl options and scraping configuration
+ * @returns Promise resolving to crawl result
+ */
+export function smartCrawl(startUrl: string, options?: CrawlOptions): Promise<CrawlResult>;
+
 /**
  * Convenience function for taking screenshots
  * @param url The URL to capture
  * @param options Optional configuration
  * @returns Promise resolving to screenshot result
  */
-export function smartScreenshot(url: string, options?: ScrapingOptions): Promise<ScrapingResult>;
+export function smartScreenshot(url: string, options?: ScreenshotOptions): Promise<ScrapingResult>;
 
 /**
  * Convenience function for quick screenshot capture
@@ -280,7 +1102,7 @@ export function smartScreenshot(url: string, options?: ScrapingOptions): Promise
  * @param options Optional configuration
  * @returns Promise resolving to screenshot result
  */
-export function quickShot(url: string, options?: ScrapingOptions): Promise<ScrapingResult>;
+export function quickShot(url: string, options?: ScreenshotOptions): Promise<ScrapingResult>;
 
 /**
  * Convenience function for asking AI questions about a webpage
@@ -289,14 +1111,7 @@ export function quickShot(url: string, options?: ScrapingOptions): Promise<Scrap
  * @param options Optional configuration
  * @returns Promise resolving to AI answer
  */
-export function askWebsiteAI(url: string, question: string, options?: ScrapingOptions): Promise<{
-  success: boolean;
-  answer?: string;
-  error?: string;
-  method?: string;
-  scrapeTime?: number;
-  processing?: 'openrouter' | 'openai' | 'backend' | 'local';
-}>;
+export function askWebsiteAI(url: string, question: string, options?: ScrapingOptions): Promise<AIAnswerResult>;
 
 /**
  * Default export - same as BNCASmartScraper class
@@ -1,11 +1,21 @@
-import fetch from 'node-fetch';
+import fetch, { Response } from 'node-fetch';
 import { spawn, execSync } from 'child_process';
 import fs from 'fs/promises';
 import { existsSync, statSync } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { promises as fsPromises } from 'fs';
+import { gunzip } from 'zlib';
+import { promisify } from 'util';
+import { createHash } from 'crypto';
+import { EventEmitter } from 'events';
+import os from 'os';
+import net from 'net';
 import pdfParse from 'pdf-parse/lib/pdf-parse.js';
+import { parse as parseHTML } from 'node-html-parser';
+import { HttpProxyAgent } from 'http-proxy-agent';
+import { HttpsProxyAgent } from 'https-proxy-agent';
+import { SocksProxyAgent } from 'socks-proxy-agent';
 
 let puppeteer = null;
 try {
@@ -15,253 +25,1502 @@ try {
   // Puppeteer is optional
 }
 
+const gunzipAsync = promisify(gunzip);
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Elements whose text is never visible on the page
+const NON_CONTENT_TAGS = new Set(['script', 'style', 'noscript', 'template']);
+
+// Elements that break text flow, so their text is kept apart from neighbours
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'body', 'br', 'dd', 'details', 'dialog', 'div',
+  'dl', 'dt', 'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4',
+  'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary',
+  'table', 'td', 'th', 'tr', 'ul'
+]);
+
+// Error codes of failures that may succeed on a retry
+const RETRYABLE_ERROR_CODES = new Set([
+  'AbortError', 'TimeoutError', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE',
+  'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH', 'UND_ERR_SOCKET'
+]);
+
+// Methods that are safe to send twice, so failures with them are retried
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']);
+
+// Reduce rounds map-reduce runs before merging every note in one call
+const MAX_REDUCE_ROUNDS = 4;
+
+// System message for askAI when `aiSystemPrompt` is not set
+const DEFAULT_AI_SYSTEM_PROMPT = 'You are a helpful assistant that answers questions based on website content. Provide accurate, concise answers based only on the provided content.';
+
 /**
- * BNCA Smart Scraper - Intelligent Web Scraping with Multi-level Fallback
+ * Apply a declarative extraction schema to a DOM tree
  * 
- * This class implements a sophisticated fallback system:
- * 1. Direct Fetch - Fast HTML retrieval for simple sites
- * 2. Lightpanda - Lightning-fast browser for static/SSR sites  
- * 3. Puppeteer - Full Chromium browser for complex JavaScript sites
+ * Must stay self-contained: Puppeteer serializes it into the page, where
+ * `root` is null and the live document is used instead. In Node it runs
+ * against a node-html-parser tree, so only standard DOM calls are used.
  * 
- * Performance: 10x+ faster than Firecrawl on average
+ * @param {object|null} root - Element to extract from (document when null)
+ * @param {object} schema - Field name → selector string or field definition
+ * @param {string} baseUrl - URL used by the `url` transform
+ * @returns {object} Extracted values
  */
-export class BNCASmartScraper {
-  constructor(options = {}) {
-    this.options = {
-      timeout: options.timeout || 10000,
-      userAgent: options.userAgent || 'Mozilla/5.0 (compatible; BNCA/1.0; +https://github.com/your-org/bnca)',
-      lightpandaPath: options.lightpandaPath || this.findLightpandaBinary(),
-      retries: options.retries || 2,
-      verbose: options.verbose || false,
-      ...options
-    };
+function applyExtractionSchema(root, schema, baseUrl) {
+  const scope = root || document;
+  
+  const transformValue = (value, transform) => {
+    if (value === null || value === undefined) return null;
+    const text = String(value);
     
-    this.browser = null;
-    this.stats = {
-      directFetch: { attempts: 0, successes: 0 },
-      lightpanda: { attempts: 0, successes: 0 },
-      puppeteer: { attempts: 0, successes: 0 },
-      pdf: { attempts: 0, successes: 0 }
-    };
+    switch (transform) {
+      case 'trim':
+        return text.trim();
+      case 'lowercase':
+        return text.toLowerCase();
+      case 'uppercase':
+        return text.toUpperCase();
+      case 'number': {
+        const cleaned = text.replace(/[^\d.,-]/g, '');
+        // Treat "1,234.56" as thousands separators and "12,5" as a decimal comma
+        const normalized = /,\d{1,2}$/.test(cleaned) && !cleaned.includes('.') ?
+          cleaned.replace(',', '.') : cleaned.replace(/,/g, '');
+        const number = parseFloat(normalized);
+        return Number.isNaN(number) ? null : number;
+      }
+      case 'integer': {
+        const number = parseInt(text.replace(/[^\d-]/g, ''), 10);
+        return Number.isNaN(number) ? null : number;
+      }
+      case 'boolean':
+        return !/^(?:|0|false|no|off|null)$/i.test(text.trim());
+      case 'date': {
+        const date = new Date(text.trim());
+        return Number.isNaN(date.getTime()) ? null : date.toISOString();
+      }
+      case 'url':
+        try {
+          return new URL(text.trim(), baseUrl).href;
+        } catch {
+          return null;
+        }
+      default:
+        return value;
+    }
+  };
+  
+  const readValue = (element, field) => {
+    const attr = field.attr || 'text';
+    let value;
+    if (attr === 'text') {
+      value = (element.textContent || '').replace(/\s+/g, ' ').trim();
+    } else if (attr === 'html') {
+      value = element.innerHTML;
+    } else if (attr === 'outerHTML') {
+      value = element.outerHTML;
+    } else {
+      value = element.getAttribute(attr);
+    }
+    
+    return [].concat(field.transform || []).reduce(transformValue, value);
+  };
+  
+  const extractField = (context, field) => {
+    const definition = typeof field === 'string' ? { selector: field } : field;
+    
+    if (definition.list) {
+      const elements = definition.selector ?
+        Array.from(context.querySelectorAll(definition.selector)) : [context];
+      return elements.map(element => (definition.fields ?
+        extractObject(element, definition.fields) :
+        readValue(element, definition)));
+    }
+    
+    const element = definition.selector ? context.querySelector(definition.selector) : context;
+    if (!element) {
+      return definition.default ?? null;
+    }
+    
+    const value = definition.fields ?
+      extractObject(element, definition.fields) :
+      readValue(element, definition);
+    return value ?? definition.default ?? null;
+  };
+  
+  const extractObject = (context, fields) => {
+    const data = {};
+    for (const [name, field] of Object.entries(fields)) {
+      data[name] = extractField(context, field);
+    }
+    return data;
+  };
+  
+  return extractObject(scope, schema);
+}
+
+/**
+ * Registry of AI providers used by askAI() and extractWithAI()
+ * 
+ * A provider is an object with:
+ * - `name` - unique identifier, used in `aiProviders` order lists
+ * - `isAvailable(options)` - whether it is configured (API key, base URL, ...)
+ * - `complete(request, options)` - resolves to the model's text response
+ * - `structuredOutput` - true when it can honor `request.jsonSchema`
+ * - `usesContent` - false when it doesn't send `request.content` to a model,
+ *   so askAI never splits long documents into chunks for it
+ * 
+ * `request` holds the chat `messages` built by the scraper, plus the raw
+ * `question`, `url`, `content` and, for structured extraction, `jsonSchema`.
+ */
+export class AIProviderRegistry {
+  constructor() {
+    this.providers = new Map();
   }
   
   /**
-   * Ask AI a question about a URL
-   * Scrapes the URL and uses AI to answer the question
-   * 
-   * @param {string} url - URL to analyze
-   * @param {string} question - Question to answer
-   * @param {object} options - Additional options
-   * @returns {Promise<object>} AI response with answer
+   * Register a provider, replacing any provider with the same name
    */
-  async askAI(url, question, options = {}) {
-    try {
-      // First scrape the content
-      const scrapeResult = await this.scrape(url, options);
+  register(provider) {
+    if (!provider || typeof provider.name !== 'string' || typeof provider.complete !== 'function') {
+      throw new Error('AI providers need a name and a complete(request, options) function');
+    }
+    this.providers.set(provider.name, provider);
+    return this;
+  }
+  
+  /**
+   * Remove a provider by name
+   */
+  unregister(name) {
+    return this.providers.delete(name);
+  }
+  
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+  
+  has(name) {
+    return this.providers.has(name);
+  }
+  
+  /**
+   * Names of all registered providers, in registration order
+   */
+  list() {
+    return [...this.providers.keys()];
+  }
+}
+
+/**
+ * Create a provider for any OpenAI-compatible chat completions API
+ * (OpenAI, OpenRouter, Groq, Together AI, llama.cpp server, vLLM, ...)
+ * 
+ * @param {object} config - { name, baseUrl, apiKey, apiKeyOption, apiKeyEnv, requiresApiKey, headers, model }
+ *   `baseUrl` may be a function of the scrape options; `/v1/chat/completions` is appended
+ * @returns {object} AI provider
+ */
+export function createOpenAICompatibleProvider(config) {
+  const {
+    name,
+    baseUrl,
+    apiKey,
+    apiKeyOption,
+    apiKeyEnv,
+    requiresApiKey = true,
+    headers = {},
+    model = 'gpt-3.5-turbo',
+    structuredModel = model,
+    label = name
+  } = config;
+  
+  const resolveKey = (options) => apiKey || (apiKeyOption && options[apiKeyOption]) || (apiKeyEnv && process.env[apiKeyEnv]);
+  const resolveBaseUrl = (options) => (typeof baseUrl === 'function' ? baseUrl(options) : baseUrl);
+  
+  return {
+    name,
+    structuredOutput: true,
+    
+    isAvailable(options = {}) {
+      return Boolean(resolveBaseUrl(options)) && (!requiresApiKey || Boolean(resolveKey(options)));
+    },
+    
+    async complete(request, options = {}) {
+      const key = resolveKey(options);
+      const body = {
+        model: options.model || (request.jsonSchema ? structuredModel : model),
+        messages: request.messages,
+        temperature: request.temperature ?? (options.temperature || 0.3),
+        max_tokens: request.maxTokens || options.maxTokens || 500
+      };
       
-      if (!scrapeResult.success) {
-        return {
-          success: false,
-          error: `Failed to scrape URL: ${scrapeResult.error}`,
-          method: scrapeResult.method
+      if (request.jsonSchema) {
+        body.response_format = {
+          type: 'json_schema',
+          json_schema: {
+            name: 'extraction',
+            schema: request.jsonSchema
+          }
         };
       }
       
-      // Check for OpenRouter/OpenAI API key
-      const openRouterKey = options.openRouterApiKey || this.options.openRouterApiKey || process.env.OPENROUTER_API_KEY;
-      const openAIKey = options.openAIApiKey || this.options.openAIApiKey || process.env.OPENAI_API_KEY;
+      const response = await fetch(`${resolveBaseUrl(options).replace(/\/+$/, '')}/v1/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(key ? { 'Authorization': `Bearer ${key}` } : {}),
+          ...(typeof headers === 'function' ? headers(options) : headers)
+        },
+        body: JSON.stringify(body)
+      });
       
-      // Priority: OpenRouter > OpenAI > Backend API > Local
-      if (openRouterKey) {
-        try {
-          const answer = await this.processWithOpenRouter(question, scrapeResult.content, openRouterKey, options);
-          return {
-            success: true,
-            answer,
-            method: scrapeResult.method,
-            scrapeTime: scrapeResult.stats.totalTime,
-            processing: 'openrouter'
-          };
-        } catch (error) {
-          this.log('  ⚠️ OpenRouter API call failed, falling back...');
-        }
+      if (!response.ok) {
+        throw new Error(`${label} API error: ${response.status}`);
       }
       
-      if (openAIKey) {
-        try {
-          const answer = await this.processWithOpenAI(question, scrapeResult.content, openAIKey, options);
-          return {
-            success: true,
-            answer,
-            method: scrapeResult.method,
-            scrapeTime: scrapeResult.stats.totalTime,
-            processing: 'openai'
-          };
-        } catch (error) {
-          this.log('  ⚠️ OpenAI API call failed, falling back...');
-        }
+      const data = await response.json();
+      const content = data.choices?.[0]?.message?.content;
+      if (!content) {
+        throw new Error(`Empty response from ${label}`);
       }
+      return content;
+    }
+  };
+}
+
+/**
+ * Create a provider for the Anthropic Messages API
+ * Structured output is requested through a forced tool call
+ * 
+ * @param {object} config - { apiKey, baseUrl, model, name }
+ * @returns {object} AI provider
+ */
+export function createAnthropicProvider(config = {}) {
+  const {
+    name = 'anthropic',
+    apiKey,
+    baseUrl = 'https://api.anthropic.com',
+    model = 'claude-3-5-haiku-latest'
+  } = config;
+  
+  const resolveKey = (options) => apiKey || options.anthropicApiKey || process.env.ANTHROPIC_API_KEY;
+  
+  return {
+    name,
+    structuredOutput: true,
+    
+    isAvailable(options = {}) {
+      return Boolean(resolveKey(options));
+    },
+    
+    async complete(request, options = {}) {
+      const system = request.messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n');
+      const body = {
+        model: options.model || model,
+        max_tokens: request.maxTokens || options.maxTokens || 500,
+        temperature: request.temperature ?? (options.temperature || 0.3),
+        system: system || undefined,
+        messages: request.messages.filter(message => message.role !== 'system')
+      };
       
-      // If BNCA API key is provided, use the backend API
-      if (this.options.apiKey) {
-        try {
-          const response = await fetch(`${this.options.apiUrl || 'https://bnca-api.fly.dev'}/aireply`, {
-            method: 'POST',
-            headers: {
-              'x-api-key': this.options.apiKey,
-              'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ url, question })
-          });
-          
-          if (response.ok) {
-            const data = await response.json();
-            return {
-              success: true,
-              answer: data.answer,
-              method: scrapeResult.method,
-              scrapeTime: scrapeResult.stats.totalTime,
-              processing: 'backend'
-            };
-          }
-        } catch (error) {
-          this.log('  ⚠️ Backend API call failed, using local AI processing');
-        }
+      if (request.jsonSchema) {
+        body.tools = [{
+          name: 'extraction',
+          description: 'Return the extracted data',
+          input_schema: request.jsonSchema.type === 'object' ?
+            request.jsonSchema :
+            { type: 'object', properties: { value: request.jsonSchema }, required: ['value'] }
+        }];
+        body.tool_choice = { type: 'tool', name: 'extraction' };
       }
       
-      // Local AI processing fallback
-      const answer = this.processLocally(question, scrapeResult.content);
+      const response = await fetch(`${options.anthropicBaseUrl || baseUrl}/v1/messages`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': resolveKey(options),
+          'anthropic-version': '2023-06-01'
+        },
+        body: JSON.stringify(body)
+      });
       
-      return {
-        success: true,
-        answer,
-        method: scrapeResult.method,
-        scrapeTime: scrapeResult.stats.totalTime,
-        processing: 'local'
-      };
+      if (!response.ok) {
+        throw new Error(`Anthropic API error: ${response.status}`);
+      }
       
-    } catch (error) {
-      return {
-        success: false,
-        error: error.message || 'AI processing failed'
-      };
+      const data = await response.json();
+      
+      if (request.jsonSchema) {
+        const toolUse = data.content?.find(block => block.type === 'tool_use');
+        if (!toolUse) {
+          throw new Error('Anthropic response did not include structured output');
+        }
+        return JSON.stringify(request.jsonSchema.type === 'object' ? toolUse.input : toolUse.input.value);
+      }
+      
+      const text = data.content?.filter(block => block.type === 'text').map(block => block.text).join('');
+      if (!text) {
+        throw new Error('Empty response from Anthropic');
+      }
+      return text;
     }
-  }
+  };
+}
+
+/**
+ * Create a provider for a local Ollama server (native /api/chat endpoint)
+ * 
+ * @param {object} config - { baseUrl, model, name }
+ * @returns {object} AI provider
+ */
+export function createOllamaProvider(config = {}) {
+  const {
+    name = 'ollama',
+    baseUrl,
+    model = 'llama3.2'
+  } = config;
   
-  /**
-   * Process with OpenRouter API
-   * @private
-   */
-  async processWithOpenRouter(question, content, apiKey, options = {}) {
-    const parsedContent = typeof content === 'string' ? JSON.parse(content) : content;
+  const resolveBaseUrl = (options) => baseUrl || options.ollamaBaseUrl;
+  
+  return {
+    name,
+    structuredOutput: true,
     
-    const contentText = `
-Title: ${parsedContent.title || 'Unknown'}
-Content: ${parsedContent.content || parsedContent.bodyText || 'No content available'}
-Meta Description: ${parsedContent.metaDescription || 'None'}
-${parsedContent.headings?.length ? `\nHeadings:\n${parsedContent.headings.map(h => `- ${h.text || h}`).join('\n')}` : ''}
-`.trim();
-
-    const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`,
-        'HTTP-Referer': options.referer || 'https://github.com/monostate/node-scraper',
-        'X-Title': 'BNCA Node Scraper',
-      },
-      body: JSON.stringify({
-        model: options.model || 'meta-llama/llama-4-scout:free',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a helpful assistant that answers questions based on website content. Provide accurate, concise answers based only on the provided content.'
-          },
-          {
-            role: 'user',
-            content: `Based on the following website content, please answer this question: ${question}\n\nWebsite content:\n${contentText}`
+    isAvailable(options = {}) {
+      return Boolean(resolveBaseUrl(options));
+    },
+    
+    async complete(request, options = {}) {
+      const response = await fetch(`${resolveBaseUrl(options).replace(/\/+$/, '')}/api/chat`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          model: options.model || model,
+          messages: request.messages,
+          stream: false,
+          format: request.jsonSchema || undefined,
+          options: {
+            temperature: request.temperature ?? (options.temperature || 0.3),
+            num_predict: request.maxTokens || options.maxTokens || 500
           }
-        ],
-        temperature: options.temperature || 0.3,
-        max_tokens: options.maxTokens || 500,
-      }),
-    });
-
-    if (!response.ok) {
-      throw new Error(`OpenRouter API error: ${response.status}`);
+        })
+      });
+      
+      if (!response.ok) {
+        throw new Error(`Ollama API error: ${response.status}`);
+      }
+      
+      const data = await response.json();
+      const content = data.message?.content;
+      if (!content) {
+        throw new Error('Empty response from Ollama');
+      }
+      return content;
     }
+  };
+}
 
-    const data = await response.json();
-    return data.choices[0]?.message?.content || 'No response from AI';
+/**
+ * In-memory HTTP response cache
+ * 
+ * Cache stores are async key/value stores with `get(key)`, `set(key, entry)`,
+ * `delete(key)` and `clear()`. Entries are plain JSON objects (the body is
+ * base64 encoded), so any backend such as Redis can implement the same interface.
+ */
+export class MemoryCache {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 500;
+    this.entries = new Map();
+  }
+  
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    
+    // Refresh recency so the least recently used entry is evicted first
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+  
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
   }
+  
+  async delete(key) {
+    this.entries.delete(key);
+  }
+  
+  async clear() {
+    this.entries.clear();
+  }
+}
 
+/**
+ * On-disk HTTP response cache (one JSON file per entry)
+ */
+export class FileCache {
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(os.tmpdir(), 'bnca-scraper-cache');
+  }
+  
+  async get(key) {
+    try {
+      return JSON.parse(await fs.readFile(this.getPath(key), 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+  
+  async set(key, entry) {
+    await fs.mkdir(this.dir, { recursive: true });
+    
+    // Write then rename so readers never see a partial file
+    const file = this.getPath(key);
+    const temp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(entry));
+    await fs.rename(temp, file);
+  }
+  
+  async delete(key) {
+    await fs.rm(this.getPath(key), { force: true });
+  }
+  
+  async clear() {
+    await fs.rm(this.dir, { recursive: true, force: true });
+  }
+  
   /**
-   * Process with OpenAI API
    * @private
    */
-  async processWithOpenAI(question, content, apiKey, options = {}) {
-    const parsedContent = typeof content === 'string' ? JSON.parse(content) : content;
-    
-    const contentText = `
-Title: ${parsedContent.title || 'Unknown'}
-Content: ${parsedContent.content || parsedContent.bodyText || 'No content available'}
-Meta Description: ${parsedContent.metaDescription || 'None'}
-${parsedContent.headings?.length ? `\nHeadings:\n${parsedContent.headings.map(h => `- ${h.text || h}`).join('\n')}` : ''}
-`.trim();
-
-    const baseUrl = options.openAIBaseUrl || 'https://api.openai.com';
-    const response = await fetch(`${baseUrl}/v1/chat/completions`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`,
-      },
-      body: JSON.stringify({
-        model: options.model || 'gpt-3.5-turbo',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a helpful assistant that answers questions based on website content. Provide accurate, concise answers based only on the provided content.'
-          },
-          {
-            role: 'user',
-            content: `Based on the following website content, please answer this question: ${question}\n\nWebsite content:\n${contentText}`
-          }
-        ],
-        temperature: options.temperature || 0.3,
-        max_tokens: options.maxTokens || 500,
-      }),
-    });
+  getPath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+}
 
-    if (!response.ok) {
-      throw new Error(`OpenAI API error: ${response.status}`);
+/**
+ * Cookie jar following the RFC 6265 storage and matching rules
+ * (public suffixes are not checked)
+ */
+export class CookieJar {
+  constructor(cookies = []) {
+    this.cookies = [];
+    for (const cookie of cookies) {
+      this.setCookie(cookie);
     }
-
-    const data = await response.json();
-    return data.choices[0]?.message?.content || 'No response from AI';
   }
-
+  
   /**
-   * Local AI processing (simple pattern matching)
-   * @private
+   * Store the cookies from a response's Set-Cookie headers
+   * @param {string[]} headers - Set-Cookie header values
+   * @param {string} url - URL of the response
    */
-  processLocally(question, content) {
-    const parsedContent = typeof content === 'string' ? 
-      JSON.parse(content) : content;
-      
-    const title = parsedContent.title || 'Unknown';
-    const text = parsedContent.content || parsedContent.bodyText || '';
-    const lowerQuestion = question.toLowerCase();
+  setCookies(headers, url) {
+    for (const header of [].concat(headers)) {
+      const cookie = this.parseSetCookie(header, url);
+      if (cookie) this.setCookie(cookie);
+    }
+  }
+  
+  /**
+   * Store a cookie object, replacing the one with the same name, domain and path
+   * Expired cookies remove the stored one
+   */
+  setCookie(cookie) {
+    this.cookies = this.cookies.filter(existing =>
+      !(existing.name === cookie.name && existing.domain === cookie.domain && existing.path === cookie.path));
     
-    if (lowerQuestion.includes('title')) {
-      return `The page title is "${title}".`;
+    if (cookie.expires === null || cookie.expires === undefined || cookie.expires > Date.now()) {
+      this.cookies.push({
+        name: cookie.name,
+        value: cookie.value,
+        domain: cookie.domain,
+        path: cookie.path || '/',
+        expires: cookie.expires ?? null,
+        secure: Boolean(cookie.secure),
+        httpOnly: Boolean(cookie.httpOnly),
+        hostOnly: Boolean(cookie.hostOnly),
+        sameSite: cookie.sameSite || null
+      });
     }
+  }
+  
+  /**
+   * Cookies that apply to a URL, most specific path first
+   * Without a URL, every unexpired cookie is returned
+   */
+  getCookies(url) {
+    const now = Date.now();
+    this.cookies = this.cookies.filter(cookie => cookie.expires === null || cookie.expires > now);
     
-    if (lowerQuestion.includes('about') || lowerQuestion.includes('what')) {
-      return `This page titled "${title}" contains: ${text.substring(0, 200)}...`;
+    if (!url) {
+      return [...this.cookies];
+    }
+    
+    const { hostname, pathname, protocol } = new URL(url);
+    const host = hostname.toLowerCase();
+    
+    return this.cookies
+      .filter(cookie => (cookie.hostOnly ? host === cookie.domain : host === cookie.domain || host.endsWith(`.${cookie.domain}`)))
+      .filter(cookie => pathname === cookie.path ||
+        (pathname.startsWith(cookie.path) && (cookie.path.endsWith('/') || pathname[cookie.path.length] === '/')))
+      .filter(cookie => !cookie.secure || protocol === 'https:')
+      .sort((a, b) => b.path.length - a.path.length);
+  }
+  
+  /**
+   * Cookie request header value for a URL ('' when no cookie applies)
+   */
+  getCookieHeader(url) {
+    return this.getCookies(url).map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+  }
+  
+  /**
+   * Remove cookies, optionally only those for one domain
+   */
+  clear(domain) {
+    this.cookies = domain ?
+      this.cookies.filter(cookie => cookie.domain !== domain.toLowerCase().replace(/^\./, '')) :
+      [];
+  }
+  
+  toJSON() {
+    return this.getCookies();
+  }
+  
+  /**
+   * Parse one Set-Cookie header; returns null for cookies the URL may not set
+   * @private
+   */
+  parseSetCookie(header, url) {
+    const [pair, ...attributes] = header.split(';');
+    const separator = pair.indexOf('=');
+    if (separator <= 0) return null;
+    
+    const requestUrl = new URL(url);
+    const host = requestUrl.hostname.toLowerCase();
+    const cookie = {
+      name: pair.substring(0, separator).trim(),
+      value: pair.substring(separator + 1).trim(),
+      domain: host,
+      hostOnly: true,
+      path: null,
+      expires: null
+    };
+    let maxAge = null;
+    
+    for (const attribute of attributes) {
+      const [rawName, ...rest] = attribute.split('=');
+      const name = rawName.trim().toLowerCase();
+      const value = rest.join('=').trim();
+      
+      if (name === 'domain' && value) {
+        const domain = value.toLowerCase().replace(/^\./, '');
+        if (host !== domain && !host.endsWith(`.${domain}`)) return null;
+        cookie.domain = domain;
+        cookie.hostOnly = false;
+      } else if (name === 'path' && value.startsWith('/')) {
+        cookie.path = value;
+      } else if (name === 'expires') {
+        const expires = Date.parse(value);
+        if (!Number.isNaN(expires)) cookie.expires = expires;
+      } else if (name === 'max-age' && /^-?\d+$/.test(value)) {
+        maxAge = parseInt(value, 10);
+      } else if (name === 'secure') {
+        cookie.secure = true;
+      } else if (name === 'httponly') {
+        cookie.httpOnly = true;
+      } else if (name === 'samesite') {
+        cookie.sameSite = value;
+      }
+    }
+    
+    // Max-Age wins over Expires
+    if (maxAge !== null) {
+      cookie.expires = Date.now() + maxAge * 1000;
+    }
+    
+    // Default path: the request path up to its last slash
+    if (!cookie.path) {
+      const lastSlash = requestUrl.pathname.lastIndexOf('/');
+      cookie.path = lastSlash > 0 ? requestUrl.pathname.substring(0, lastSlash) : '/';
+    }
+    
+    return cookie;
+  }
+}
+
+/**
+ * A browsing session shared by a sequence of scrapes
+ * Holds the cookie jar used by direct fetches, PDF downloads and Puppeteer
+ * pages, and can be saved to disk and loaded back
+ */
+export class Session {
+  constructor(options = {}) {
+    this.cookies = options.cookies instanceof CookieJar ?
+      options.cookies :
+      new CookieJar(options.cookies || []);
+  }
+  
+  /**
+   * Save the session as JSON
+   * @param {string} file - File path
+   */
+  async save(file) {
+    await fs.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(this, null, 2));
+  }
+  
+  /**
+   * Load a saved session; a missing file gives an empty session
+   * @param {string} file - File path
+   * @returns {Promise<Session>}
+   */
+  static async load(file) {
+    try {
+      return new Session(JSON.parse(await fs.readFile(file, 'utf8')));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return new Session();
+      }
+      throw error;
+    }
+  }
+  
+  toJSON() {
+    return { cookies: this.cookies.toJSON() };
+  }
+}
+
+/**
+ * Per-domain request scheduler
+ * Spaces requests to each host by requests-per-second / minimum delay (plus
+ * jitter), caps in-flight requests, and backs a host off after 429/503
+ * responses, honoring Retry-After. Waiters are served in FIFO order.
+ */
+class RequestScheduler {
+  constructor() {
+    this.hosts = new Map();
+  }
+  
+  /**
+   * Wait for a slot on a host
+   * @returns {Promise<Function>} Release function; call it when the request is done
+   */
+  acquire(host, limits) {
+    return new Promise(resolve => {
+      this.getHost(host).queue.push({ resolve, limits });
+      this.pump(host);
+    });
+  }
+  
+  /**
+   * Feed a response status back into the host's backoff state
+   * @returns {number} Pause applied to the host in ms (0 when not throttled)
+   */
+  report(host, statusCode, retryAfter, limits) {
+    const state = this.getHost(host);
+    
+    if (statusCode === 429 || statusCode === 503) {
+      state.penalty = Math.min(Math.max(state.penalty * 2, 1000), limits.maxBackoff);
+      const pause = Math.min(retryAfter ?? state.penalty, limits.maxBackoff);
+      state.blockedUntil = Math.max(state.blockedUntil, Date.now() + pause);
+      return pause;
+    }
+    
+    // Recover gradually once the host answers normally again
+    state.penalty = state.penalty >= 200 ? state.penalty / 2 : 0;
+    return 0;
+  }
+  
+  /**
+   * @private
+   */
+  getHost(host) {
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, {
+        queue: [],
+        inFlight: 0,
+        nextAt: 0,
+        blockedUntil: 0,
+        penalty: 0,
+        timer: null
+      });
+    }
+    return this.hosts.get(host);
+  }
+  
+  /**
+   * Start as many queued requests as the host's limits allow
+   * @private
+   */
+  pump(host) {
+    const state = this.getHost(host);
+    if (state.timer) return;
+    
+    while (state.queue.length > 0) {
+      const { limits } = state.queue[0];
+      if (state.inFlight >= limits.maxInFlight) return;
+      
+      const wait = Math.max(state.nextAt, state.blockedUntil) - Date.now();
+      if (wait > 0) {
+        state.timer = setTimeout(() => {
+          state.timer = null;
+          this.pump(host);
+        }, wait);
+        return;
+      }
+      
+      const waiter = state.queue.shift();
+      const interval = Math.max(
+        limits.requestsPerSecond > 0 ? 1000 / limits.requestsPerSecond : 0,
+        limits.minDelay,
+        state.penalty
+      );
+      state.inFlight++;
+      state.nextAt = Date.now() + interval + Math.random() * limits.jitter;
+      
+      let released = false;
+      waiter.resolve(() => {
+        if (released) return;
+        released = true;
+        state.inFlight--;
+        this.pump(host);
+      });
+    }
+  }
+}
+
+/**
+ * Puppeteer page pool
+ * Caps concurrent pages and gives every page its own incognito browser
+ * context. The browser is retired after `recycleAfter` pages and closed once
+ * its last page is released; a crashed browser is replaced on the next acquire.
+ */
+class PagePool {
+  constructor(launch) {
+    this.launch = launch;
+    this.browser = null;
+    this.launching = null;
+    this.browsers = new Map();
+    this.active = 0;
+    this.queue = [];
+  }
+  
+  /**
+   * Wait for a free slot and open a page in a fresh browser context
+   * @returns {Promise<object>} `{ page, context, release }`; always call release() when done
+   */
+  async acquire({ maxPages = 5, recycleAfter = 100, proxyServer = null } = {}) {
+    await this.waitForSlot(maxPages);
+    
+    let browser = null;
+    let context = null;
+    
+    try {
+      browser = await this.getBrowser();
+      const usage = this.browsers.get(browser);
+      usage.opened++;
+      usage.open++;
+      
+      if (usage.opened >= recycleAfter) {
+        this.retire(browser);
+      }
+      
+      const options = proxyServer ? { proxyServer } : undefined;
+      context = browser.createBrowserContext ?
+        await browser.createBrowserContext(options) :
+        await browser.createIncognitoBrowserContext(options);
+      const page = await context.newPage();
+      
+      let released = false;
+      return {
+        page,
+        context,
+        release: async () => {
+          if (released) return;
+          released = true;
+          await this.release(browser, context);
+        }
+      };
+    } catch (error) {
+      await this.release(browser, context);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the current browser, launching it on first use
+   * Concurrent callers wait for the same launch
+   */
+  async getBrowser() {
+    if (this.browser) {
+      return this.browser;
+    }
+    
+    if (!this.launching) {
+      this.launching = this.launch().then(browser => {
+        this.browsers.set(browser, { opened: 0, open: 0 });
+        browser.once('disconnected', () => {
+          this.browsers.delete(browser);
+          this.retire(browser);
+        });
+        this.browser = browser;
+        return browser;
+      }).finally(() => {
+        this.launching = null;
+      });
+    }
+    
+    return this.launching;
+  }
+  
+  /**
+   * Close every browser, including retired ones that still have pages open
+   */
+  async close() {
+    if (this.launching) {
+      await this.launching.catch(() => {});
+    }
+    
+    const browsers = [...this.browsers.keys()];
+    this.browsers.clear();
+    this.browser = null;
+    await Promise.all(browsers.map(browser => browser.close().catch(() => {})));
+  }
+  
+  /**
+   * Stop handing out pages from a browser
+   * @private
+   */
+  retire(browser) {
+    if (this.browser === browser) {
+      this.browser = null;
+    }
+  }
+  
+  /**
+   * @private
+   */
+  waitForSlot(limit) {
+    if (this.active < limit) {
+      this.active++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.queue.push(resolve));
+  }
+  
+  /**
+   * Close a page's context and hand its slot to the next waiter
+   * @private
+   */
+  async release(browser, context) {
+    if (context) {
+      await context.close().catch(() => {});
+    }
+    
+    const usage = browser && this.browsers.get(browser);
+    if (usage) {
+      usage.open--;
+      if (browser !== this.browser && usage.open === 0) {
+        this.browsers.delete(browser);
+        await browser.close().catch(() => {});
+      }
+    }
+    
+    // Pass the slot straight on so it can't be taken by a newer caller
+    const next = this.queue.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+}
+
+/**
+ * BNCA Smart Scraper - Intelligent Web Scraping with Multi-level Fallback
+ * 
+ * This class implements a sophisticated fallback system:
+ * 1. Direct Fetch - Fast HTML retrieval for simple sites
+ * 2. Lightpanda - Lightning-fast browser for static/SSR sites  
+ * 3. Puppeteer - Full Chromium browser for complex JavaScript sites
+ * 
+ * Performance: 10x+ faster than Firecrawl on average
+ */
+export class BNCASmartScraper extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    
+    this.options = {
+      timeout: options.timeout || 10000,
+      userAgent: options.userAgent || 'Mozilla/5.0 (compatible; BNCA/1.0; +https://github.com/your-org/bnca)',
+      lightpandaPath: options.lightpandaPath || this.findLightpandaBinary(),
+      retries: options.retries ?? 2,
+      maxBytes: options.maxBytes ?? 20 * 1024 * 1024,
+      verbose: options.verbose || false,
+      ...options
+    };
+    
+    if (this.options.session === true) {
+      this.options.session = new Session();
+    }
+    
+    this.aiProviders = this.createDefaultAIProviders();
+    
+    this.pagePool = new PagePool(() => this.launchBrowser());
+    this.lightpandaServers = new Map();
+    this.parsedDocument = null;
+    this.robotsCache = new Map();
+    this.cacheStores = {};
+    this.lastRequestByOrigin = new Map();
+    this.scheduler = new RequestScheduler();
+    this.proxyHealth = new Map();
+    this.proxyAgents = new Map();
+    this.proxyIndex = 0;
+    this.stats = {
+      directFetch: { attempts: 0, successes: 0 },
+      lightpanda: { attempts: 0, successes: 0 },
+      puppeteer: { attempts: 0, successes: 0 },
+      pdf: { attempts: 0, successes: 0 }
+    };
+  }
+  
+  /**
+   * Ask AI a question about a URL
+   * Scrapes the URL and uses AI to answer the question
+   * 
+   * @param {string} url - URL to analyze
+   * @param {string} question - Question to answer
+   * @param {object} options - Additional options
+   * @returns {Promise<object>} AI response with answer
+   */
+  async askAI(url, question, options = {}) {
+    try {
+      // First scrape the content
+      const scrapeResult = await this.scrape(url, options);
+      
+      if (!scrapeResult.success) {
+        return {
+          success: false,
+          error: `Failed to scrape URL: ${scrapeResult.error}`,
+          method: scrapeResult.method
+        };
+      }
+      
+      const config = this.resolveConfig(options);
+      const { answer, provider, chunking } = await this.answerFromDocument(question, scrapeResult, url, config);
+      
+      return {
+        success: true,
+        answer,
+        method: scrapeResult.method,
+        scrapeTime: scrapeResult.performance.totalTime,
+        processing: provider,
+        chunking
+      };
+      
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message || 'AI processing failed'
+      };
+    }
+  }
+  
+  /**
+   * Register a custom AI provider (or replace a built-in one)
+   * 
+   * @param {object} provider - { name, isAvailable(options), complete(request, options), structuredOutput }
+   * @returns {BNCASmartScraper} this, for chaining
+   */
+  registerAIProvider(provider) {
+    this.aiProviders.register(provider);
+    return this;
+  }
+  
+  /**
+   * Build the registry with the built-in providers
+   * @private
+   */
+  createDefaultAIProviders() {
+    const registry = new AIProviderRegistry();
+    
+    registry.register(createOpenAICompatibleProvider({
+      name: 'openrouter',
+      label: 'OpenRouter',
+      baseUrl: 'https://openrouter.ai/api',
+      apiKeyOption: 'openRouterApiKey',
+      apiKeyEnv: 'OPENROUTER_API_KEY',
+      model: 'meta-llama/llama-4-scout:free',
+      headers: (options) => ({
+        'HTTP-Referer': options.referer || 'https://github.com/monostate/node-scraper',
+        'X-Title': 'BNCA Node Scraper'
+      })
+    }));
+    
+    registry.register(createOpenAICompatibleProvider({
+      name: 'openai',
+      label: 'OpenAI',
+      baseUrl: (options) => options.openAIBaseUrl || 'https://api.openai.com',
+      apiKeyOption: 'openAIApiKey',
+      apiKeyEnv: 'OPENAI_API_KEY',
+      model: 'gpt-3.5-turbo',
+      // gpt-3.5-turbo rejects json_schema response formats
+      structuredModel: 'gpt-4o-mini'
+    }));
+    
+    registry.register(createAnthropicProvider());
+    registry.register(createOllamaProvider());
+    
+    registry.register(createOpenAICompatibleProvider({
+      name: 'llamacpp',
+      label: 'llama.cpp',
+      baseUrl: (options) => options.llamaCppBaseUrl,
+      requiresApiKey: false,
+      model: 'default'
+    }));
+    
+    // BNCA backend answers from the URL itself
+    registry.register({
+      name: 'backend',
+      structuredOutput: false,
+      usesContent: false,
+      isAvailable: (options = {}) => Boolean(options.apiKey),
+      complete: async (request, options = {}) => {
+        const response = await fetch(`${options.apiUrl || 'https://bnca-api.fly.dev'}/aireply`, {
+          method: 'POST',
+          headers: {
+            'x-api-key': options.apiKey,
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ url: request.url, question: request.question })
+        });
+        
+        if (!response.ok) {
+          throw new Error(`Backend API error: ${response.status}`);
+        }
+        
+        const data = await response.json();
+        return data.answer;
+      }
+    });
+    
+    // Pattern matching fallback that needs no API at all
+    registry.register({
+      name: 'local',
+      structuredOutput: false,
+      usesContent: false,
+      isAvailable: () => true,
+      complete: async (request) => this.processLocally(request.question, request.content)
+    });
+    
+    return registry;
+  }
+  
+  /**
+   * Resolve the ordered list of providers to try
+   * `aiProviders` may mix registered names and inline provider objects
+   * @private
+   */
+  resolveAIProviders(config) {
+    // Newer providers come after the BNCA backend so configured backends keep answering
+    const order = config.aiProviders ||
+      ['openrouter', 'openai', 'backend', 'anthropic', 'ollama', 'llamacpp', 'local'];
+    
+    return order.map(entry => {
+      if (typeof entry === 'string') {
+        const provider = this.aiProviders.get(entry);
+        if (!provider) {
+          throw new Error(`Unknown AI provider: ${entry}`);
+        }
+        return provider;
+      }
+      return entry;
+    });
+  }
+  
+  /**
+   * Run a request through the configured providers until one succeeds
+   * @private
+   */
+  async completeWithProviders(request, config) {
+    const providers = this.resolveAIProviders(config)
+      .filter(provider => !request.jsonSchema || provider.structuredOutput)
+      .filter(provider => !provider.isAvailable || provider.isAvailable(config));
+    
+    if (providers.length === 0) {
+      throw new Error(request.jsonSchema ?
+        'No configured AI provider supports structured output' :
+        'No AI provider is configured');
+    }
+    
+    let lastError = null;
+    for (const provider of providers) {
+      try {
+        const answer = await provider.complete(request, config);
+        return { answer, provider: provider.name };
+      } catch (error) {
+        lastError = error;
+        this.log(`  ⚠️ ${provider.name} AI provider failed: ${error.message}`);
+        
+        if (!this.shouldFallbackAI(error, provider, config)) break;
+      }
+    }
+    
+    throw lastError;
+  }
+  
+  /**
+   * Decide whether a failed provider falls through to the next one
+   * @private
+   */
+  shouldFallbackAI(error, provider, config) {
+    if (typeof config.aiFallback === 'function') {
+      return Boolean(config.aiFallback(error, provider.name));
+    }
+    return config.aiFallback !== false;
+  }
+  
+  /**
+   * Build the chat messages for a question about scraped content
+   * The system prompt, prompt template and content formatter are all configurable
+   * @private
+   */
+  buildAIMessages(question, content, config = this.options) {
+    const systemPrompt = config.aiSystemPrompt || DEFAULT_AI_SYSTEM_PROMPT;
+    const template = config.aiPromptTemplate ||
+      'Based on the following website content, please answer this question: {question}\n\nWebsite content:\n{content}';
+    const formatted = this.formatContentForAI(content, config);
+    
+    return [
+      { role: 'system', content: systemPrompt },
+      {
+        role: 'user',
+        content: template
+          .replace(/\{question\}/g, () => question)
+          .replace(/\{content\}/g, () => formatted)
+      }
+    ];
+  }
+  
+  /**
+   * Answer a question from the full scraped document
+   * Documents that fit in `aiChunkTokens` are answered in one call; longer ones
+   * are split into overlapping chunks and answered with map-reduce or refine
+   * @private
+   */
+  async answerFromDocument(question, scrapeResult, url, config) {
+    const chunkTokens = config.aiChunkTokens || 3000;
+    const overlapTokens = Math.min(config.aiChunkOverlap ?? 200, Math.floor(chunkTokens / 2));
+    const requested = config.aiStrategy || 'auto';
+    
+    if (!['auto', 'single', 'map-reduce', 'refine'].includes(requested)) {
+      throw new Error(`Unknown AI strategy: ${requested}`);
+    }
+    
+    const parsedContent = typeof scrapeResult.content === 'string' ?
+      JSON.parse(scrapeResult.content) : scrapeResult.content;
+    let text = this.getDocumentTextForAI(scrapeResult, url, config);
+    const documentTokens = this.estimateTokens(text);
+    
+    // The backend answers from the URL and local matching scans the whole
+    // page, so chunking would only repeat the same request
+    const providers = this.resolveAIProviders(config);
+    const primary = providers.find(provider => !provider.isAvailable || provider.isAvailable(config));
+    if (primary?.usesContent === false) {
+      const limit = chunkTokens * 4;
+      const result = await this.completeWithProviders({
+        // Bounded in case a provider further down the chain does send it to a model
+        messages: this.buildAIMessages(question, { ...parsedContent, content: text.substring(0, limit) }, config),
+        question,
+        url,
+        content: scrapeResult.content
+      }, config);
+      const answeredBy = providers.find(provider => provider.name === result.provider);
+      
+      return {
+        answer: result.answer,
+        provider: result.provider,
+        chunking: {
+          strategy: 'single',
+          chunks: 1,
+          documentTokens,
+          truncated: answeredBy?.usesContent !== false && text.length > limit,
+          calls: 1
+        }
+      };
+    }
+    
+    // The budget caps how much of the document is sent across all calls
+    let truncated = Boolean(config.aiTokenBudget) && documentTokens > config.aiTokenBudget;
+    if (truncated) {
+      text = text.substring(0, config.aiTokenBudget * 4);
+    }
+    
+    const strategy = requested === 'auto' ?
+      (this.estimateTokens(text) <= chunkTokens ? 'single' : 'map-reduce') :
+      requested;
+    
+    // An explicit 'single' sends only what fits in one chunk
+    if (strategy === 'single' && text.length > chunkTokens * 4) {
+      truncated = true;
+    }
+    
+    const chunks = strategy === 'single' ?
+      [text.substring(0, chunkTokens * 4)] :
+      this.chunkText(text, chunkTokens, overlapTokens);
+    
+    const ask = (messages, content) => this.completeWithProviders({
+      messages,
+      question,
+      url,
+      content: JSON.stringify({ ...parsedContent, content })
+    }, config);
+    
+    let result;
+    if (strategy === 'single') {
+      result = await ask(this.buildAIMessages(question, { ...parsedContent, content: chunks[0] }, config), chunks[0]);
+    } else {
+      this.log(`  🧩 Answering from ${chunks.length} chunks (${strategy}, ~${this.estimateTokens(text)} tokens)`);
+      result = strategy === 'refine' ?
+        await this.refineChunks(question, chunks, parsedContent, ask, config) :
+        await this.mapReduceChunks(question, chunks, parsedContent, ask, config);
+    }
+    
+    return {
+      answer: result.answer,
+      provider: result.provider,
+      chunking: {
+        strategy,
+        chunks: chunks.length,
+        documentTokens,
+        truncated,
+        calls: result.calls || 1
+      }
+    };
+  }
+  
+  /**
+   * Map: answer from each chunk independently; reduce: merge the partial answers
+   * Partial answers that don't fit in one call are reduced in rounds
+   * @private
+   */
+  async mapReduceChunks(question, chunks, parsedContent, ask, config) {
+    const noAnswer = 'NO_RELEVANT_INFORMATION';
+    const concurrency = Math.max(1, config.aiConcurrency || 3);
+    const partials = new Array(chunks.length);
+    let calls = 0;
+    let provider = null;
+    let next = 0;
+    
+    const worker = async () => {
+      while (next < chunks.length) {
+        const index = next++;
+        const messages = this.buildChunkMessages(
+          `This is part ${index + 1} of ${chunks.length} of a longer document. Using only this part, answer or collect every fact relevant to the question: ${question}\n\nIf this part contains nothing relevant, reply with exactly ${noAnswer}.`,
+          { ...parsedContent, content: chunks[index] },
+          config
+        );
+        const response = await ask(messages, chunks[index]);
+        calls++;
+        provider = response.provider;
+        partials[index] = response.answer;
+      }
+    };
+    
+    await Promise.all(Array.from({ length: Math.min(concurrency, chunks.length) }, worker));
+    
+    let notes = partials
+      .map(partial => (partial || '').trim())
+      .filter(partial => partial && !partial.includes(noAnswer));
+    
+    if (notes.length === 0) {
+      return { answer: 'The document does not contain information that answers this question.', provider, calls };
+    }
+    
+    const chunkTokens = config.aiChunkTokens || 3000;
+    
+    // Reduce in rounds until every note fits in a single call
+    for (let round = 1; ; round++) {
+      let groups = [];
+      let group = [];
+      let groupTokens = 0;
+      
+      for (const note of notes) {
+        const tokens = this.estimateTokens(note);
+        if (group.length > 0 && groupTokens + tokens > chunkTokens) {
+          groups.push(group);
+          group = [];
+          groupTokens = 0;
+        }
+        group.push(note);
+        groupTokens += tokens;
+      }
+      groups.push(group);
+      
+      // When notes are too long to pair up, or after the last round, merge
+      // everything in one call with each note trimmed to its share of a chunk
+      if (groups.length > 1 && (groups.length >= notes.length || round >= MAX_REDUCE_ROUNDS)) {
+        const share = Math.max(1, Math.floor(chunkTokens / notes.length)) * 4;
+        groups = [notes.map(note => (note.length > share ? `${note.slice(0, share)}…` : note))];
+      }
+      
+      const reduced = [];
+      for (const notesGroup of groups) {
+        const combined = notesGroup.map((note, index) => `[Note ${index + 1}]\n${note}`).join('\n\n');
+        const messages = this.buildChunkMessages(
+          `The notes below were taken from different parts of one document. Combine them into a single answer to the question: ${question}\n\nResolve duplicates and contradictions, and answer only from the notes.`,
+          { ...parsedContent, content: combined },
+          config
+        );
+        const response = await ask(messages, combined);
+        calls++;
+        provider = response.provider;
+        reduced.push(response.answer);
+      }
+      
+      if (groups.length === 1) {
+        return { answer: reduced[0], provider, calls };
+      }
+      notes = reduced;
+    }
+  }
+  
+  /**
+   * Refine: answer from the first chunk, then revise the answer with each following chunk
+   * @private
+   */
+  async refineChunks(question, chunks, parsedContent, ask, config) {
+    let answer = null;
+    let provider = null;
+    
+    for (let index = 0; index < chunks.length; index++) {
+      const instruction = answer === null ?
+        `This is part 1 of ${chunks.length} of a longer document. Answer the question from this part: ${question}` :
+        `This is part ${index + 1} of ${chunks.length} of a longer document. The current answer to the question "${question}" is:\n\n${answer}\n\nRefine the answer with this part. If this part adds nothing relevant, return the current answer unchanged.`;
+      const response = await ask(
+        this.buildChunkMessages(instruction, { ...parsedContent, content: chunks[index] }, config),
+        chunks[index]
+      );
+      answer = response.answer;
+      provider = response.provider;
+    }
+    
+    return { answer, provider, calls: chunks.length };
+  }
+  
+  /**
+   * Build the messages for one chunk-level call
+   * @private
+   */
+  buildChunkMessages(instruction, content, config = this.options) {
+    return [
+      {
+        role: 'system',
+        content: config.aiSystemPrompt || DEFAULT_AI_SYSTEM_PROMPT
+      },
+      {
+        role: 'user',
+        content: `${instruction}\n\nDocument content:\n${this.formatContentForAI(content, config)}`
+      }
+    ];
+  }
+  
+  /**
+   * Get the full text of a scrape result for AI processing
+   * Uses the Markdown rendering (full PDF text, or the page's structure and
+   * links) instead of the truncated `content` preview
+   * @private
+   */
+  getDocumentTextForAI(scrapeResult, url, config) {
+    const markdown = scrapeResult.markdown ||
+      this.resultToMarkdown(scrapeResult, scrapeResult.method, url, config);
+    
+    if (markdown && markdown.trim()) {
+      return markdown.trim();
+    }
+    
+    const parsedContent = typeof scrapeResult.content === 'string' ?
+      JSON.parse(scrapeResult.content) : scrapeResult.content;
+    return parsedContent.content || parsedContent.bodyText || parsedContent.text || '';
+  }
+  
+  /**
+   * Split text into chunks of about `maxTokens`, overlapping by `overlapTokens`
+   * Chunks end on paragraph, line, sentence or word boundaries where possible
+   * 
+   * @param {string} text - Text to split
+   * @param {number} maxTokens - Approximate tokens per chunk
+   * @param {number} overlapTokens - Approximate tokens repeated between chunks
+   * @returns {string[]} Chunks
+   */
+  chunkText(text, maxTokens = 3000, overlapTokens = 200) {
+    const size = Math.max(1, maxTokens * 4);
+    const overlap = Math.min(overlapTokens * 4, Math.floor(size / 2));
+    const chunks = [];
+    let start = 0;
+    
+    while (start < text.length) {
+      let end = Math.min(start + size, text.length);
+      
+      if (end < text.length) {
+        const window = text.substring(start + Math.floor(size / 2), end);
+        const breakAt = ['\n\n', '\n', '. ', ' ']
+          .map(separator => window.lastIndexOf(separator))
+          .find(index => index !== -1);
+        if (breakAt !== undefined) {
+          end = start + Math.floor(size / 2) + breakAt + 1;
+        }
+      }
+      
+      const chunk = text.substring(start, end).trim();
+      if (chunk) chunks.push(chunk);
+      if (end >= text.length) break;
+      
+      // Start the next chunk on a word boundary inside the overlap
+      let nextStart = Math.max(end - overlap, start + 1);
+      const space = text.indexOf(' ', nextStart);
+      if (overlap > 0 && space !== -1 && space < end) {
+        nextStart = space + 1;
+      }
+      start = nextStart;
+    }
+    
+    return chunks;
+  }
+  
+  /**
+   * Rough token count (about 4 characters per token)
+   */
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+  
+  /**
+   * Local AI processing (simple pattern matching)
+   * @private
+   */
+  processLocally(question, content) {
+    const parsedContent = typeof content === 'string' ? 
+      JSON.parse(content) : content;
+      
+    const title = parsedContent.title || 'Unknown';
+    const text = parsedContent.content || parsedContent.bodyText || '';
+    const lowerQuestion = question.toLowerCase();
+    
+    if (lowerQuestion.includes('title')) {
+      return `The page title is "${title}".`;
+    }
+    
+    if (lowerQuestion.includes('about') || lowerQuestion.includes('what')) {
+      return `This page titled "${title}" contains: ${text.substring(0, 200)}...`;
     }
     
     if (lowerQuestion.includes('contact') || lowerQuestion.includes('email')) {
@@ -271,446 +1530,3558 @@ ${parsedContent.headings?.length ? `\nHeadings:\n${parsedContent.headings.map(h
         'No contact information found.';
     }
     
-    return `Based on "${title}": ${text.substring(0, 150)}...`;
+    return `Based on "${title}": ${text.substring(0, 150)}...`;
+  }
+  
+  /**
+   * Extract structured data from a URL with an LLM
+   * The model must answer with JSON matching the given JSON Schema; invalid
+   * responses are sent back with the validation errors and retried
+   * 
+   * @param {string} url - URL to extract from
+   * @param {object} jsonSchema - JSON Schema the result must match
+   * @param {object} options - { instructions, maxRetries } plus AI and scrape options
+   * @returns {Promise<object>} Extraction result with the parsed data
+   */
+  async extractWithAI(url, jsonSchema, options = {}) {
+    const startTime = Date.now();
+    
+    if (!jsonSchema || typeof jsonSchema !== 'object') {
+      return {
+        success: false,
+        error: 'A JSON Schema object is required'
+      };
+    }
+    
+    try {
+      const scrapeResult = await this.scrape(url, options);
+      
+      if (!scrapeResult.success) {
+        return {
+          success: false,
+          error: `Failed to scrape URL: ${scrapeResult.error}`,
+          method: scrapeResult.method
+        };
+      }
+      
+      const config = this.resolveConfig(options);
+      
+      // Only providers that can honor a JSON Schema take part (local processing cannot)
+      const providers = this.resolveAIProviders(config)
+        .filter(provider => provider.structuredOutput)
+        .filter(provider => !provider.isAvailable || provider.isAvailable(config));
+      
+      if (providers.length === 0) {
+        return {
+          success: false,
+          error: 'extractWithAI requires an AI provider with structured output (OpenRouter, OpenAI, Anthropic, Ollama, llama.cpp or a custom one)',
+          method: scrapeResult.method
+        };
+      }
+      
+      const maxRetries = options.maxRetries ?? 2;
+      const instructions = options.instructions || 'Extract the requested information from the website content.';
+      const formattedContent = this.formatContentForAI(scrapeResult.content, config);
+      const initialMessages = [
+        {
+          role: 'system',
+          content: 'You extract structured data from website content. Respond only with a JSON value that matches the provided JSON Schema. Use null for information that is not present in the content.'
+        },
+        {
+          role: 'user',
+          content: `${instructions}\n\nJSON Schema:\n${JSON.stringify(jsonSchema, null, 2)}\n\nWebsite content:\n${formattedContent}`
+        }
+      ];
+      
+      let attempts = 0;
+      let lastError = null;
+      let validationErrors = [];
+      
+      for (const provider of providers) {
+        const messages = [...initialMessages];
+        
+        for (let retry = 0; retry <= maxRetries; retry++) {
+          attempts++;
+          
+          let raw;
+          try {
+            raw = await provider.complete({
+              messages,
+              url,
+              content: scrapeResult.content,
+              jsonSchema,
+              temperature: config.temperature ?? 0,
+              maxTokens: config.maxTokens || 2000
+            }, config);
+          } catch (error) {
+            // Provider is unusable; move on to the next one unless fallback is off
+            this.log(`  ⚠️ ${provider.name} structured extraction failed: ${error.message}`);
+            lastError = error.message;
+            if (!this.shouldFallbackAI(error, provider, config)) {
+              return {
+                success: false,
+                error: lastError,
+                method: scrapeResult.method,
+                attempts,
+                performance: {
+                  totalTime: Date.now() - startTime
+                }
+              };
+            }
+            break;
+          }
+          
+          let data;
+          try {
+            data = JSON.parse(raw.trim().replace(/^```(?:json)?\s*|\s*```$/g, ''));
+            validationErrors = this.validateJsonSchema(data, jsonSchema);
+          } catch (error) {
+            validationErrors = [`Response is not valid JSON: ${error.message}`];
+          }
+          
+          if (validationErrors.length === 0) {
+            return {
+              success: true,
+              data,
+              method: scrapeResult.method,
+              scrapeTime: scrapeResult.performance.totalTime,
+              processing: provider.name,
+              attempts,
+              performance: {
+                totalTime: Date.now() - startTime
+              }
+            };
+          }
+          
+          this.log(`  ⚠️ Extraction did not match the schema (attempt ${retry + 1}): ${validationErrors.join('; ')}`);
+          lastError = 'Response did not match the JSON Schema';
+          messages.push(
+            { role: 'assistant', content: raw },
+            {
+              role: 'user',
+              content: `Your response did not match the JSON Schema:\n${validationErrors.map(error => `- ${error}`).join('\n')}\n\nReturn the corrected JSON only.`
+            }
+          );
+        }
+      }
+      
+      return {
+        success: false,
+        error: lastError || 'Structured extraction failed',
+        validationErrors,
+        method: scrapeResult.method,
+        attempts,
+        performance: {
+          totalTime: Date.now() - startTime
+        }
+      };
+      
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message || 'Structured extraction failed'
+      };
+    }
+  }
+  
+  /**
+   * Format scraped content as plain text for an AI prompt
+   * Uses the `aiContentFormatter` option when one is configured
+   * @private
+   */
+  formatContentForAI(content, config = this.options) {
+    const parsedContent = typeof content === 'string' ? JSON.parse(content) : content;
+    
+    if (typeof config.aiContentFormatter === 'function') {
+      return config.aiContentFormatter(parsedContent);
+    }
+    
+    return `
+Title: ${parsedContent.title || 'Unknown'}
+Content: ${parsedContent.content || parsedContent.bodyText || parsedContent.text || 'No content available'}
+Meta Description: ${parsedContent.metaDescription || 'None'}
+${parsedContent.headings?.length ? `\nHeadings:\n${parsedContent.headings.map(h => `- ${h.text || h}`).join('\n')}` : ''}
+${parsedContent.structuredData?.length ? `\nStructured Data:\n${JSON.stringify(parsedContent.structuredData).substring(0, 4000)}` : ''}
+`.trim();
+  }
+  
+  /**
+   * Validate a value against a JSON Schema
+   * Covers the keywords LLM output schemas use in practice; $ref is not supported
+   * 
+   * @param {*} value - Value to validate
+   * @param {object} schema - JSON Schema
+   * @param {string} at - Path used in error messages
+   * @returns {string[]} Validation errors (empty when valid)
+   */
+  validateJsonSchema(value, schema, at = '$') {
+    if (schema === true || schema === undefined) return [];
+    if (schema === false) return [`${at} is not allowed`];
+    
+    const errors = [];
+    const typeOf = (v) => {
+      if (v === null) return 'null';
+      if (Array.isArray(v)) return 'array';
+      if (Number.isInteger(v)) return 'integer';
+      return typeof v;
+    };
+    const actualType = typeOf(value);
+    
+    if (schema.type) {
+      const allowed = [].concat(schema.type);
+      const matches = allowed.some(type => type === actualType || (type === 'number' && actualType === 'integer'));
+      if (!matches) {
+        return [`${at} should be ${allowed.join(' or ')}, got ${actualType}`];
+      }
+    }
+    
+    if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+      errors.push(`${at} should be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+    if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+      errors.push(`${at} should equal ${JSON.stringify(schema.const)}`);
+    }
+    
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(`${at} should have at least ${schema.minLength} characters`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        errors.push(`${at} should have at most ${schema.maxLength} characters`);
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push(`${at} should match ${schema.pattern}`);
+      }
+    }
+    
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${at} should be >= ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${at} should be <= ${schema.maximum}`);
+      }
+    }
+    
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${at} should have at least ${schema.minItems} items`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push(`${at} should have at most ${schema.maxItems} items`);
+      }
+      if (schema.items && typeof schema.items === 'object') {
+        value.forEach((item, index) => {
+          errors.push(...this.validateJsonSchema(item, schema.items, `${at}[${index}]`));
+        });
+      }
+    }
+    
+    if (actualType === 'object') {
+      const properties = schema.properties || {};
+      for (const key of schema.required || []) {
+        if (!(key in value)) {
+          errors.push(`${at}.${key} is required`);
+        }
+      }
+      for (const [key, propertyValue] of Object.entries(value)) {
+        if (key in properties) {
+          errors.push(...this.validateJsonSchema(propertyValue, properties[key], `${at}.${key}`));
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${at}.${key} is not an allowed property`);
+        } else if (typeof schema.additionalProperties === 'object') {
+          errors.push(...this.validateJsonSchema(propertyValue, schema.additionalProperties, `${at}.${key}`));
+        }
+      }
+    }
+    
+    if (schema.allOf) {
+      schema.allOf.forEach(subschema => errors.push(...this.validateJsonSchema(value, subschema, at)));
+    }
+    if (schema.anyOf && !schema.anyOf.some(subschema => this.validateJsonSchema(value, subschema, at).length === 0)) {
+      errors.push(`${at} does not match any allowed schema`);
+    }
+    if (schema.oneOf) {
+      const matching = schema.oneOf.filter(subschema => this.validateJsonSchema(value, subschema, at).length === 0).length;
+      if (matching !== 1) {
+        errors.push(`${at} should match exactly one allowed schema (matched ${matching})`);
+      }
+    }
+    
+    return errors;
+  }
+  
+  /**
+   * Main scraping method with intelligent fallback
+   */
+  async scrape(url, options = {}) {
+    const startTime = Date.now();
+    const config = this.resolveConfig(options);
+    const pagination = this.getPaginationMode(config);
+    
+    if (pagination === 'next') {
+      return this.scrapePages(url, options);
+    }
+    
+    this.log(`🚀 Starting smart scrape for: ${url}`);
+    
+    if (config.respectRobots) {
+      const robots = await this.checkRobots(url, config);
+      
+      if (!robots.allowed) {
+        this.log(`  🚫 Blocked by robots.txt (${robots.rule})`);
+        return {
+          success: false,
+          method: 'robots-blocked',
+          blockedByRobots: true,
+          error: `Blocked by robots.txt: ${robots.rule}`,
+          performance: {
+            totalTime: Date.now() - startTime,
+            method: 'robots-blocked'
+          },
+          stats: this.getStats()
+        };
+      }
+      
+      if (robots.crawlDelay) {
+        await this.waitForCrawlDelay(url, robots.crawlDelay);
+      }
+    }
+    
+    let result = null;
+    let method = 'unknown';
+    let lastError = null;
+    const attempts = [];
+    
+    try {
+      // Check if URL is a PDF (by extension or content-type check)
+      const isPdfUrl = url.toLowerCase().endsWith('.pdf') || 
+                       url.toLowerCase().includes('.pdf?') ||
+                       url.toLowerCase().includes('/pdf/');
+                       
+      if (isPdfUrl) {
+        this.log('  📄 PDF detected, using PDF parser...');
+        result = await this.runWithRetries('pdf', url, config, attempts, (attemptConfig) => this.tryPDFParse(url, attemptConfig));
+        
+        if (result.success) {
+          method = 'pdf';
+          this.log('  ✅ PDF parsing successful');
+          return this.finalizeResult(result, method, url, config, startTime, attempts);
+        } else {
+          this.log('  ❌ PDF parsing failed');
+          lastError = result.error;
+        }
+      }
+      
+      // Step 1: Try direct fetch first (fastest)
+      if (this.requiresBrowser(config)) {
+        result = { success: false, needsBrowser: true };
+      } else {
+        this.log('  🔄 Attempting direct fetch...');
+        result = await this.runWithRetries('direct-fetch', url, config, attempts, (attemptConfig) => this.tryDirectFetch(url, attemptConfig));
+      }
+      
+      if (result.success && !result.needsBrowser) {
+        method = 'direct-fetch';
+        this.log('  ✅ Direct fetch successful');
+      } else if (result.isPdf) {
+        // Direct fetch detected a PDF, try PDF parser
+        this.log('  📄 Direct fetch detected PDF content, using PDF parser...');
+        result = await this.runWithRetries('pdf', url, config, attempts, (attemptConfig) => this.tryPDFParse(url, attemptConfig));
+        
+        if (result.success) {
+          method = 'pdf';
+          this.log('  ✅ PDF parsing successful');
+          return this.finalizeResult(result, method, url, config, startTime, attempts);
+        } else {
+          this.log('  ❌ PDF parsing failed');
+          lastError = result.error;
+        }
+      } else if (result.tooLarge) {
+        // A browser would download the same oversized body, so stop here
+        method = 'failed';
+        this.log(`  ❌ ${result.error}`);
+        lastError = result.error;
+      } else {
+        this.log(result.needsBrowser ? '  ⚠️  Browser rendering required' : '  ❌ Direct fetch failed');
+        lastError = result.error;
+        
+        // Step 2: Try Lightpanda (fast browser)
+        this.log('  🐼 Attempting Lightpanda...');
+        result = await this.runWithRetries('lightpanda', url, config, attempts, (attemptConfig) => this.tryLightpanda(url, attemptConfig));
+        
+        if (result.success) {
+          method = 'lightpanda';
+          this.log('  ✅ Lightpanda successful');
+        } else {
+          this.log('  ❌ Lightpanda failed, falling back to Puppeteer');
+          lastError = result.error;
+          
+          // Step 3: Fallback to Puppeteer (full browser)
+          this.log('  🔵 Attempting Puppeteer...');
+          result = await this.runWithRetries('puppeteer', url, config, attempts, (attemptConfig) => this.tryPuppeteer(url, attemptConfig));
+          
+          if (result.success) {
+            method = 'puppeteer';
+            this.log('  ✅ Puppeteer successful');
+          } else {
+            method = 'failed';
+            this.log('  ❌ All methods failed');
+            lastError = result.error;
+          }
+        }
+      }
+      
+      return this.finalizeResult(result, method, url, config, startTime, attempts);
+      
+    } catch (error) {
+      return {
+        success: false,
+        method: 'error',
+        error: error.message,
+        attempts,
+        performance: {
+          totalTime: Date.now() - startTime
+        }
+      };
+    }
+  }
+  
+  /**
+   * Scrape a paginated listing by following next links or a page URL pattern
+   * Every page goes through scrape(); the merged result keeps per-page boundaries
+   * @private
+   */
+  async scrapePages(url, options) {
+    const startTime = Date.now();
+    const config = this.resolveConfig(options);
+    const paginate = config.paginate;
+    const maxPages = paginate.maxPages ?? 10;
+    const pageOptions = { ...options, paginate: null };
+    
+    this.log(`📑 Following pagination from: ${url} (max ${maxPages} pages)`);
+    
+    const pages = [];
+    const items = [];
+    const attempts = [];
+    const visited = new Set();
+    let pageUrl = url;
+    
+    while (pageUrl && pages.length < maxPages) {
+      const index = pages.length + 1;
+      visited.add(this.normalizeCrawlUrl(pageUrl));
+      
+      this.log(`  📄 Page ${index}: ${pageUrl}`);
+      const result = await this.scrape(pageUrl, pageOptions);
+      attempts.push(...(result.attempts || []));
+      
+      const root = result.success && result.html ? this.parseDocument(result.html) : null;
+      const pageItems = paginate.itemSelector && root ?
+        root.querySelectorAll(paginate.itemSelector).map(el => ({ text: this.getVisibleText(el), html: el.outerHTML })) :
+        [];
+      this.releaseDocument();
+      
+      pages.push({
+        index,
+        url: pageUrl,
+        success: result.success,
+        method: result.method,
+        statusCode: result.statusCode,
+        content: result.content,
+        ...(result.markdown !== undefined ? { markdown: result.markdown } : {}),
+        html: result.html,
+        ...(paginate.itemSelector ? { items: pageItems.length } : {}),
+        ...(result.network ? { network: result.network } : {}),
+        ...(result.success ? {} : { error: result.error })
+      });
+      items.push(...pageItems.map(item => ({ page: index, ...item })));
+      
+      // A page without items means a URL pattern ran past the last page
+      if (!result.success || (paginate.itemSelector && pageItems.length === 0)) {
+        break;
+      }
+      if (paginate.maxItems && items.length >= paginate.maxItems) {
+        break;
+      }
+      
+      const next = this.findNextPageUrl(root, result.finalUrl || pageUrl, paginate, index);
+      pageUrl = next && !visited.has(this.normalizeCrawlUrl(next)) ? next : null;
+    }
+    
+    const succeeded = pages.filter(page => page.success);
+    const method = pages[0].method;
+    
+    return {
+      success: succeeded.length > 0,
+      method,
+      content: JSON.stringify(succeeded.map(page => {
+        try {
+          return JSON.parse(page.content);
+        } catch {
+          return page.content;
+        }
+      }), null, 2),
+      ...(config.format === 'markdown' ? {
+        markdown: succeeded
+          .filter(page => page.markdown)
+          .map(page => `<!-- Page ${page.index}: ${page.url} -->\n\n${page.markdown}`)
+          .join('\n\n')
+      } : {}),
+      ...(paginate.itemSelector ? { items: items.slice(0, paginate.maxItems || undefined) } : {}),
+      ...(config.captureNetwork ? { network: pages.flatMap(page => page.network || []) } : {}),
+      pages,
+      ...(succeeded.length > 0 ? {} : { error: pages[0].error }),
+      attempts,
+      performance: {
+        totalTime: Date.now() - startTime,
+        method
+      },
+      stats: this.getStats()
+    };
+  }
+  
+  /**
+   * URL of the page after `index`: the URL pattern with {page} filled in,
+   * or the href of the next-link selector (rel="next" by default)
+   * @private
+   */
+  findNextPageUrl(root, baseUrl, paginate, index) {
+    let href;
+    
+    if (paginate.urlPattern) {
+      href = paginate.urlPattern.replace(/\{page\}/g, String((paginate.startPage ?? 1) + index));
+    } else if (root) {
+      href = root.querySelector(paginate.nextSelector || 'a[rel~="next"], link[rel~="next"]')?.getAttribute('href');
+      baseUrl = this.getDocumentBaseUrl(root, baseUrl);
+    }
+    
+    if (!href) {
+      return null;
+    }
+    
+    try {
+      const next = new URL(href, baseUrl);
+      return /^https?:$/.test(next.protocol) ? next.href : null;
+    } catch {
+      return null;
+    }
+  }
+  
+  /**
+   * 'next' for next-link / URL-pattern pagination, 'scroll' for infinite scroll
+   * @private
+   */
+  getPaginationMode(config) {
+    const paginate = config.paginate;
+    if (!paginate) {
+      return null;
+    }
+    return paginate.mode || (paginate.nextSelector || paginate.urlPattern ? 'next' : 'scroll');
+  }
+  
+  /**
+   * Whether the options need a scriptable browser: page actions, infinite
+   * scroll or network capture
+   * @private
+   */
+  requiresBrowser(config) {
+    return Boolean(config.actions?.length || config.captureNetwork || this.getPaginationMode(config) === 'scroll');
+  }
+  
+  /**
+   * Merge per-call options over the instance options
+   * `session: true` resolves to the instance's session, created on first use
+   * @private
+   */
+  resolveConfig(options) {
+    const config = { ...this.options, ...options };
+    if (config.session === true) {
+      config.session = this.options.session || (this.sharedSession ??= new Session());
+    }
+    return config;
+  }
+  
+  /**
+   * Run one fetch method, retrying retryable failures with exponential backoff
+   * Every attempt is appended to `attempts`
+   * @private
+   */
+  async runWithRetries(method, url, config, attempts, task) {
+    const maxRetries = Math.max(0, config.retries ?? 2);
+    
+    for (let retry = 0; ; retry++) {
+      // Each attempt picks a proxy, so retries rotate away from failing ones
+      const proxy = this.selectProxy(config);
+      const attemptConfig = { ...config, currentProxy: proxy };
+      const attemptStart = Date.now();
+      const result = await this.withRateLimit(url, config, () => task(attemptConfig));
+      const retryable = !result.success && this.isRetryableFailure(result, config);
+      
+      if (proxy) {
+        this.reportProxyResult(proxy, result, config);
+        result.proxy = this.maskProxyUrl(proxy);
+      }
+      
+      attempts.push({
+        method,
+        attempt: retry + 1,
+        success: result.success,
+        duration: Date.now() - attemptStart,
+        ...(result.success ? {} : { error: result.error, retryable }),
+        ...(result.statusCode ? { statusCode: result.statusCode } : {}),
+        ...(proxy ? { proxy: result.proxy } : {})
+      });
+      
+      if (result.success || !retryable || retry >= maxRetries) {
+        return result;
+      }
+      
+      const delay = this.getRetryDelay(retry, result, config);
+      this.log(`  🔁 ${method} failed (${result.error}), retrying in ${delay}ms (${retry + 1}/${maxRetries})`);
+      await new Promise(r => setTimeout(r, delay));
+    }
+  }
+  
+  /**
+   * Whether a failed method result is worth retrying: timeouts, connection
+   * errors, 5xx, 429 and crashed browser processes. Non-idempotent requests
+   * are only retried with `retryNonIdempotent`, and failed page actions never
+   * @private
+   */
+  isRetryableFailure(result, config) {
+    if (!config.retryNonIdempotent && !IDEMPOTENT_METHODS.has(this.getRequestOptions(config).method)) {
+      return false;
+    }
+    
+    // The page loaded but an action such as waitForSelector did not succeed
+    if (this.getActionError(result.actions)) {
+      return false;
+    }
+    
+    if (result.statusCode) {
+      return result.statusCode === 408 || result.statusCode === 429 || result.statusCode >= 500;
+    }
+    
+    if (RETRYABLE_ERROR_CODES.has(result.errorCode)) {
+      return true;
+    }
+    
+    // Lightpanda killed by a signal or exiting with a signal status (128 + n)
+    if (result.signal || result.exitCode === null || result.exitCode >= 128) {
+      return true;
+    }
+    
+    return /timed? ?out|socket hang up|Target closed|Session closed|browser has disconnected/i.test(result.error || '');
+  }
+  
+  /**
+   * Exponential backoff with jitter; Retry-After wins when the server sent one
+   * @private
+   */
+  getRetryDelay(retry, result, config) {
+    const maxDelay = config.retryMaxDelay ?? 30000;
+    
+    if (result.retryAfter != null) {
+      return Math.min(result.retryAfter, maxDelay);
+    }
+    
+    const backoff = Math.min((config.retryDelay ?? 500) * 2 ** retry, maxDelay);
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+  }
+  
+  /**
+   * Build the public scrape result and apply the requested output format
+   * @private
+   */
+  finalizeResult(result, method, url, config, startTime, attempts = []) {
+    const { cacheStatus, retryAfter, errorCode, signal, ...fields } = result;
+    const finalized = { ...fields, method, attempts };
+    
+    // Swap the raw page text for the isolated article body
+    if (config.mainContent && result.success && result.html) {
+      const article = this.extractMainContent(result.html, result.finalUrl || url);
+      
+      try {
+        const content = JSON.parse(result.content);
+        content.content = article.text;
+        if ('bodyText' in content) {
+          content.bodyText = article.text;
+        }
+        content.article = {
+          title: article.title,
+          byline: article.byline,
+          publishedAt: article.publishedAt,
+          leadImage: article.leadImage,
+          excerpt: article.excerpt,
+          length: article.length
+        };
+        finalized.content = JSON.stringify(content, null, 2);
+      } catch {
+        // Leave unparseable content untouched
+      }
+    }
+    
+    if (config.format === 'markdown' && result.success) {
+      finalized.markdown = this.resultToMarkdown(result, method, url, config);
+    }
+    
+    // Browser methods extract in the page; everything else uses the fetched HTML
+    if (config.extractionSchema && result.success && result.extracted === undefined && result.html) {
+      finalized.extracted = applyExtractionSchema(
+        this.parseDocument(result.html),
+        config.extractionSchema,
+        result.finalUrl || url
+      );
+    }
+    
+    this.releaseDocument();
+    
+    return {
+      ...finalized,
+      performance: {
+        totalTime: Date.now() - startTime,
+        method,
+        ...(cacheStatus ? { cache: cacheStatus } : {})
+      },
+      stats: this.getStats()
+    };
+  }
+  
+  /**
+   * Extract typed JSON from a page with a declarative selector schema
+   * Runs against the fetched HTML, or inside the page when a browser is needed
+   * 
+   * @param {string} url - URL to extract from
+   * @param {object} schema - Field name → CSS selector or field definition
+   * @param {object} options - Additional scrape options
+   * @returns {Promise<object>} Extraction result with the data object
+   */
+  async extract(url, schema, options = {}) {
+    const startTime = Date.now();
+    
+    const schemaError = this.validateExtractionSchema(schema);
+    if (schemaError) {
+      return {
+        success: false,
+        error: `Invalid extraction schema: ${schemaError}`,
+        performance: {
+          totalTime: Date.now() - startTime
+        }
+      };
+    }
+    
+    const result = await this.scrape(url, { ...options, extractionSchema: schema });
+    
+    if (!result.success || result.extracted === undefined) {
+      return {
+        success: false,
+        error: result.error || `No HTML available to extract from (method: ${result.method})`,
+        method: result.method,
+        performance: {
+          totalTime: Date.now() - startTime
+        }
+      };
+    }
+    
+    return {
+      success: true,
+      data: result.extracted,
+      url: result.finalUrl || url,
+      method: result.method,
+      performance: {
+        totalTime: Date.now() - startTime,
+        method: result.method
+      },
+      stats: this.getStats()
+    };
+  }
+  
+  /**
+   * Check an extraction schema before running it
+   * Returns an error message, or null when the schema is valid
+   * @private
+   */
+  validateExtractionSchema(schema, prefix = '') {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+      return `${prefix || 'schema'} must be an object of fields`;
+    }
+    
+    const transforms = ['trim', 'number', 'integer', 'boolean', 'date', 'url', 'lowercase', 'uppercase'];
+    
+    for (const [name, field] of Object.entries(schema)) {
+      const fieldPath = prefix ? `${prefix}.${name}` : name;
+      
+      if (typeof field === 'string') continue;
+      if (!field || typeof field !== 'object' || Array.isArray(field)) {
+        return `${fieldPath} must be a selector string or a field object`;
+      }
+      if (field.selector !== undefined && typeof field.selector !== 'string') {
+        return `${fieldPath}.selector must be a string`;
+      }
+      if (!field.selector && !field.fields && !field.attr) {
+        return `${fieldPath} needs a selector, an attr or nested fields`;
+      }
+      
+      const unknown = [].concat(field.transform || []).find(transform => !transforms.includes(transform));
+      if (unknown !== undefined) {
+        return `${fieldPath} has unknown transform "${unknown}" (expected one of ${transforms.join(', ')})`;
+      }
+      
+      if (field.fields) {
+        const nestedError = this.validateExtractionSchema(field.fields, fieldPath);
+        if (nestedError) return nestedError;
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Crawl a site starting from a URL
+   * Follows links breadth-first and scrapes every page with the same
+   * direct fetch → Lightpanda → Puppeteer fallback as scrape()
+   * 
+   * @param {string} startUrl - URL to start crawling from
+   * @param {object} options - Crawl options plus any scrape() options
+   * @returns {Promise<object>} Crawl result with every visited page
+   */
+  async crawl(startUrl, options = {}) {
+    const startTime = Date.now();
+    const config = this.resolveConfig(options);
+    const maxDepth = config.maxDepth ?? 2;
+    const maxPages = config.maxPages ?? 50;
+    const sameOrigin = config.sameOrigin !== false;
+    
+    let origin;
+    try {
+      origin = new URL(startUrl).origin;
+    } catch {
+      return {
+        success: false,
+        error: `Invalid start URL: ${startUrl}`,
+        startUrl,
+        pages: [],
+        performance: {
+          totalTime: Date.now() - startTime
+        }
+      };
+    }
+    
+    this.log(`🕸️  Starting crawl for: ${startUrl} (depth ${maxDepth}, max ${maxPages} pages)`);
+    
+    const start = this.normalizeCrawlUrl(startUrl);
+    const queue = [{ url: start, depth: 0 }];
+    const seen = new Set([start]);
+    const pages = [];
+    
+    // Seed the queue with sitemap URLs as if they were linked from the start page
+    if (config.useSitemap) {
+      const discovered = await this.discoverUrls(origin, options);
+      for (const entry of discovered.urls) {
+        const normalized = this.normalizeCrawlUrl(entry.url);
+        if (!normalized || seen.has(normalized)) continue;
+        if (sameOrigin && new URL(normalized).origin !== origin) continue;
+        if (!this.shouldCrawlUrl(normalized, config)) continue;
+        
+        seen.add(normalized);
+        queue.push({ url: normalized, depth: 1 });
+      }
+      this.log(`  🗺️  Seeded ${queue.length - 1} URLs from sitemaps`);
+    }
+    
+    while (queue.length > 0 && pages.length < maxPages) {
+      const { url, depth } = queue.shift();
+      
+      this.log(`  📄 [${pages.length + 1}/${maxPages}] depth ${depth}: ${url}`);
+      const result = await this.scrape(url, options);
+      
+      const links = result.success && depth < maxDepth ?
+        this.discoverLinks(result, result.finalUrl || url) : [];
+      
+      pages.push({
+        url,
+        depth,
+        success: result.success,
+        method: result.method,
+        status: result.statusCode ?? null,
+        content: result.content,
+        error: result.error,
+        linksFound: links.length
+      });
+      
+      for (const link of links) {
+        const normalized = this.normalizeCrawlUrl(link);
+        if (!normalized || seen.has(normalized)) continue;
+        if (sameOrigin && new URL(normalized).origin !== origin) continue;
+        if (!this.shouldCrawlUrl(normalized, config)) continue;
+        
+        seen.add(normalized);
+        queue.push({ url: normalized, depth: depth + 1 });
+      }
+    }
+    
+    const succeeded = pages.filter(page => page.success).length;
+    
+    return {
+      success: succeeded > 0,
+      startUrl,
+      pages,
+      summary: {
+        pagesCrawled: pages.length,
+        succeeded,
+        failed: pages.length - succeeded,
+        urlsDiscovered: seen.size,
+        urlsRemaining: queue.length,
+        maxDepthReached: pages.reduce((max, page) => Math.max(max, page.depth), 0)
+      },
+      performance: {
+        totalTime: Date.now() - startTime
+      },
+      stats: this.getStats()
+    };
+  }
+  
+  /**
+   * Scrape many URLs with a bounded concurrency pool
+   * All scrapes share this instance's browser, Lightpanda binary, cache and stats.
+   * Emits 'progress' after each URL and 'complete' when the batch is done.
+   * 
+   * @param {string[]} urls - URLs to scrape
+   * @param {object} options - { concurrency, perDomainConcurrency } plus scrape options
+   * @returns {Promise<object>} Batch result with one scrape result per URL, in input order
+   */
+  async scrapeMany(urls, options = {}) {
+    const startTime = Date.now();
+    const config = this.resolveConfig(options);
+    const concurrency = Math.max(1, config.concurrency ?? 5);
+    const perDomainConcurrency = Math.max(1, config.perDomainConcurrency ?? 2);
+    
+    const results = new Array(urls.length);
+    const pending = urls.map((url, index) => ({ url, index, host: this.getUrlHost(url) }));
+    const inFlightByHost = new Map();
+    let active = 0;
+    let completed = 0;
+    let succeeded = 0;
+    
+    this.log(`📦 Scraping ${urls.length} URLs (concurrency ${concurrency}, ${perDomainConcurrency} per domain)`);
+    
+    await new Promise(resolve => {
+      const fill = () => {
+        if (completed === urls.length) {
+          resolve();
+          return;
+        }
+        
+        while (active < concurrency) {
+          // Next URL whose host still has a free slot
+          const next = pending.findIndex(item => (inFlightByHost.get(item.host) || 0) < perDomainConcurrency);
+          if (next === -1) break;
+          
+          const [item] = pending.splice(next, 1);
+          active++;
+          inFlightByHost.set(item.host, (inFlightByHost.get(item.host) || 0) + 1);
+          
+          this.scrape(item.url, options)
+            .catch(error => ({
+              success: false,
+              method: 'error',
+              error: error.message
+            }))
+            .then(result => {
+              active--;
+              inFlightByHost.set(item.host, inFlightByHost.get(item.host) - 1);
+              completed++;
+              if (result.success) succeeded++;
+              results[item.index] = result;
+              
+              try {
+                this.emit('progress', {
+                  url: item.url,
+                  index: item.index,
+                  result,
+                  completed,
+                  total: urls.length,
+                  succeeded,
+                  failed: completed - succeeded
+                });
+              } catch (error) {
+                // A throwing listener must not stall the batch
+                this.log(`  ⚠️  progress listener failed: ${error.message}`);
+              } finally {
+                fill();
+              }
+            })
+            .catch(error => this.log(`  ⚠️  scrapeMany: ${error.message}`));
+        }
+      };
+      
+      fill();
+    });
+    
+    const byMethod = {};
+    for (const result of results) {
+      byMethod[result.method] = (byMethod[result.method] || 0) + 1;
+    }
+    
+    const batch = {
+      success: succeeded > 0,
+      results,
+      summary: {
+        total: urls.length,
+        succeeded,
+        failed: urls.length - succeeded,
+        byMethod
+      },
+      performance: {
+        totalTime: Date.now() - startTime
+      },
+      stats: this.getStats()
+    };
+    
+    this.emit('complete', batch);
+    return batch;
+  }
+  
+  /**
+   * Host used to group URLs for per-domain limits
+   * @private
+   */
+  getUrlHost(url) {
+    try {
+      return new URL(url).host.toLowerCase();
+    } catch {
+      return url;
+    }
+  }
+  
+  /**
+   * Direct HTTP fetch - fastest method for simple sites
+   */
+  async tryDirectFetch(url, config) {
+    this.stats.directFetch.attempts++;
+    
+    try {
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), config.timeout);
+      
+      const request = this.getRequestOptions(config);
+      const { response, cacheStatus } = await this.fetchWithCache(url, {
+        method: request.method,
+        headers: this.mergeHeaders({
+          'User-Agent': config.userAgent,
+          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+          'Accept-Language': 'en-US,en;q=0.5',
+          'Accept-Encoding': 'gzip, deflate',
+          'Connection': 'keep-alive',
+          'Upgrade-Insecure-Requests': '1'
+        }, request.headers),
+        body: request.body,
+        agent: this.getProxyAgent(this.resolveProxy(config)),
+        signal: controller.signal
+      }, config);
+      
+      clearTimeout(timeoutId);
+      
+      if (!response.ok) {
+        return {
+          success: false,
+          error: `HTTP ${response.status}: ${response.statusText}`,
+          statusCode: response.status,
+          retryAfter: this.parseRetryAfter(response.headers.get('retry-after'))
+        };
+      }
+      
+      // Check if the response is actually a PDF
+      const contentType = response.headers.get('content-type') || '';
+      if (contentType.includes('application/pdf')) {
+        return {
+          success: false,
+          error: 'Content is PDF, should use PDF parser',
+          isPdf: true
+        };
+      }
+      
+      // Stream the body, stopping as soon as the magic bytes show a PDF
+      const { buffer, stopped } = await this.readBody(response, config.maxBytes,
+        (firstBytes) => firstBytes.subarray(0, 4).toString('latin1') === '%PDF');
+      
+      if (stopped) {
+        return {
+          success: false,
+          error: 'Content is PDF (detected by magic bytes), should use PDF parser',
+          isPdf: true
+        };
+      }
+      
+      // Decode with the charset from the BOM, Content-Type or <meta> declarations
+      const { text: html, encoding } = this.decodeHTML(buffer, response.headers.get('content-type'));
+      
+      // Intelligent browser detection
+      const needsBrowser = this.detectBrowserRequirement(html, url);
+      
+      if (!needsBrowser) {
+        const content = this.extractContentFromHTML(html, response.url || url);
+        this.stats.directFetch.successes++;
+        
+        return {
+          success: true,
+          needsBrowser: false,
+          content,
+          html,
+          size: html.length,
+          statusCode: response.status,
+          finalUrl: response.url || url,
+          contentType: response.headers.get('content-type') || 'text/html',
+          encoding,
+          cacheStatus
+        };
+      } else {
+        return {
+          success: true,
+          needsBrowser: true,
+          html,
+          size: html.length,
+          statusCode: response.status,
+          finalUrl: response.url || url,
+          encoding,
+          browserIndicators: this.getBrowserIndicators(html)
+        };
+      }
+      
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        errorCode: error.code || error.name,
+        ...(error.code === 'ERR_TOO_LARGE' ? { tooLarge: true } : {})
+      };
+    }
+  }
+  
+  /**
+   * Lightpanda browser - fast browser engine for static/SSR sites
+   * Runs as a persistent CDP server driven through Puppeteer when it is
+   * installed, otherwise as a `lightpanda fetch --dump` process per URL
+   */
+  async tryLightpanda(url, config) {
+    this.stats.lightpanda.attempts++;
+    
+    if (this.getPaginationMode(config) === 'scroll') {
+      return {
+        success: false,
+        error: 'Lightpanda has no layout engine, so it cannot load infinite scroll'
+      };
+    }
+    
+    if (!this.options.lightpandaPath) {
+      return {
+        success: false,
+        error: 'Lightpanda binary not found. Please install Lightpanda or provide path.'
+      };
+    }
+    
+    try {
+      // Check if binary exists
+      const stats = statSync(this.options.lightpandaPath);
+      if (!stats.isFile()) {
+        return {
+          success: false,
+          error: 'Lightpanda binary is not a file'
+        };
+      }
+    } catch {
+      return {
+        success: false,
+        error: 'Lightpanda binary not accessible'
+      };
+    }
+    
+    const proxy = this.resolveProxy(config);
+    if (proxy && !/^https?:/i.test(proxy)) {
+      return {
+        success: false,
+        error: 'Lightpanda only supports HTTP proxies'
+      };
+    }
+    
+    if (puppeteer && config.lightpandaServer !== false) {
+      return this.tryLightpandaServer(url, config, proxy);
+    }
+    
+    const request = this.getRequestOptions(config);
+    if (request.method !== 'GET' || Object.keys(request.headers).length > 0) {
+      return {
+        success: false,
+        error: 'Lightpanda cannot send custom headers, auth or request bodies without Puppeteer'
+      };
+    }
+    
+    if (config.actions?.length || config.captureNetwork) {
+      return {
+        success: false,
+        error: 'Lightpanda cannot run page actions or capture network responses without Puppeteer'
+      };
+    }
+    
+    return new Promise((resolve) => {
+      const args = ['fetch', '--dump', ...(proxy ? ['--http_proxy', proxy] : []), url];
+      const process = spawn(this.options.lightpandaPath, args, {
+        timeout: config.timeout + 1000 // Add buffer for process timeout only
+      });
+      
+      const chunks = [];
+      let errorOutput = '';
+      
+      // Keep raw bytes so multi-byte characters split across chunks decode correctly
+      let outputBytes = 0;
+      let tooLarge = false;
+      process.stdout.on('data', (data) => {
+        chunks.push(data);
+        outputBytes += data.length;
+        
+        if (config.maxBytes && outputBytes > config.maxBytes && !tooLarge) {
+          tooLarge = true;
+          process.kill();
+        }
+      });
+      
+      process.stderr.on('data', (data) => {
+        errorOutput += data.toString();
+      });
+      
+      process.on('close', (code, signal) => {
+        if (tooLarge) {
+          resolve({
+            success: false,
+            error: `Response too large: more than ${config.maxBytes} bytes (maxBytes)`,
+            tooLarge: true
+          });
+        } else if (code === 0 && chunks.length > 0) {
+          // The dump is Lightpanda's own UTF-8 serialization, so the page's
+          // <meta charset> no longer applies; only a BOM can override it
+          const { text: output, encoding } = this.decodeHTML(Buffer.concat(chunks), 'charset=utf-8');
+          const content = this.extractContentFromHTML(output, url);
+          this.stats.lightpanda.successes++;
+          
+          resolve({
+            success: true,
+            content,
+            html: output,
+            size: output.length,
+            encoding,
+            exitCode: code
+          });
+        } else {
+          resolve({
+            success: false,
+            error: errorOutput || (signal ? `Lightpanda was killed by ${signal}` : `Lightpanda exited with code ${code}`),
+            exitCode: code,
+            signal
+          });
+        }
+      });
+      
+      process.on('error', (error) => {
+        resolve({
+          success: false,
+          error: `Lightpanda process error: ${error.message}`
+        });
+      });
+    });
+  }
+  
+  /**
+   * Scrape through the shared Lightpanda CDP server with the same page
+   * setup and extraction as Puppeteer
+   * @private
+   */
+  async tryLightpandaServer(url, config, proxy) {
+    let browser = null;
+    let context = null;
+    let collectNetwork = null;
+    
+    try {
+      const endpoint = await this.getLightpandaServer(proxy, config);
+      
+      // Lightpanda serves one browser context per connection, so each scrape
+      // connects on its own and concurrent scrapes never share a page
+      browser = await puppeteer.connect({ browserWSEndpoint: endpoint });
+      context = browser.createBrowserContext ?
+        await browser.createBrowserContext() :
+        await browser.createIncognitoBrowserContext();
+      const page = await context.newPage();
+      
+      // Lightpanda doesn't render, so there are no resources to block or viewport to set
+      await this.preparePage(page, url, config, { blockResources: false, viewport: false });
+      collectNetwork = config.captureNetwork ? this.captureNetworkResponses(page, config) : null;
+      
+      const response = await page.goto(url, {
+        waitUntil: 'networkidle0',
+        timeout: config.timeout
+      });
+      
+      const actions = await this.runPageActions(page, config.actions, config);
+      const actionError = this.getActionError(actions);
+      if (actionError) {
+        return { success: false, error: actionError, actions, network: collectNetwork ? await collectNetwork(1000) : undefined };
+      }
+      
+      const html = await page.content();
+      if (config.maxBytes && Buffer.byteLength(html) > config.maxBytes) {
+        return {
+          success: false,
+          error: `Response too large: more than ${config.maxBytes} bytes (maxBytes)`,
+          tooLarge: true,
+          network: collectNetwork ? await collectNetwork(1000) : undefined
+        };
+      }
+      
+      const { content, extracted } = await this.extractPageContent(page, config);
+      const finalUrl = page.url();
+      
+      if (config.session) {
+        await this.syncPageToSession(page, config.session);
+      }
+      
+      const network = collectNetwork ? await collectNetwork() : undefined;
+      this.stats.lightpanda.successes++;
+      
+      return {
+        success: true,
+        content: JSON.stringify(content, null, 2),
+        html,
+        size: JSON.stringify(content).length,
+        statusCode: response ? response.status() : undefined,
+        retryAfter: response ? this.parseRetryAfter(response.headers()['retry-after']) : null,
+        finalUrl,
+        extracted,
+        actions,
+        network
+      };
+      
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        errorCode: error.code || error.name,
+        // Responses captured before the failure are still worth returning
+        network: collectNetwork ? await collectNetwork(1000) : undefined
+      };
+    } finally {
+      if (context) {
+        await context.close().catch(() => {});
+      }
+      if (browser) {
+        // disconnect() returns void on Puppeteer 20, a promise on later versions
+        try {
+          await browser.disconnect();
+        } catch {
+          // Already disconnected
+        }
+      }
+    }
+  }
+  
+  /**
+   * Get the WebSocket endpoint of the Lightpanda CDP server, starting it on
+   * first use. Lightpanda takes its proxy and idle timeout on the command
+   * line, so one server runs per proxy and timeout. A server that exits is
+   * started again on the next call
+   * @private
+   */
+  async getLightpandaServer(proxy = null, config = this.options) {
+    // Idle connections are dropped after this many seconds
+    const idleTimeout = Math.ceil(config.timeout / 1000) + 5;
+    const key = `${idleTimeout}:${proxy || ''}`;
+    
+    if (!this.lightpandaServers.has(key)) {
+      const launch = this.startLightpandaServer(proxy, idleTimeout);
+      this.lightpandaServers.set(key, launch);
+      
+      launch.then(server => {
+        server.process.once('exit', () => {
+          if (this.lightpandaServers.get(key) === launch) {
+            this.lightpandaServers.delete(key);
+          }
+        });
+      }, () => {
+        this.lightpandaServers.delete(key);
+      });
+    }
+    
+    const server = await this.lightpandaServers.get(key);
+    return server.endpoint;
+  }
+  
+  /**
+   * Spawn `lightpanda serve` on a free local port and wait until it accepts connections
+   * @private
+   */
+  async startLightpandaServer(proxy, idleTimeout) {
+    const port = await new Promise((resolve, reject) => {
+      const probe = net.createServer();
+      probe.once('error', reject);
+      probe.listen(0, '127.0.0.1', () => {
+        const { port } = probe.address();
+        probe.close(() => resolve(port));
+      });
+    });
+    
+    const args = [
+      'serve',
+      '--host', '127.0.0.1',
+      '--port', String(port),
+      '--timeout', String(idleTimeout),
+      ...(proxy ? ['--http_proxy', proxy] : [])
+    ];
+    
+    this.log(`  🐼 Starting Lightpanda CDP server on port ${port}`);
+    const child = spawn(this.options.lightpandaPath, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+    
+    let errorOutput = '';
+    child.stderr.on('data', (data) => {
+      errorOutput = (errorOutput + data.toString()).slice(-2000);
+    });
+    
+    // Never leave the server running when Node exits without cleanup()
+    const killOnExit = () => child.kill();
+    process.once('exit', killOnExit);
+    child.once('exit', () => process.removeListener('exit', killOnExit));
+    
+    // A binary that can't be spawned (ENOENT, EACCES) emits 'error' and never 'exit'
+    let spawnError = null;
+    child.once('error', (error) => {
+      spawnError = error;
+      process.removeListener('exit', killOnExit);
+    });
+    
+    const deadline = Date.now() + 10000;
+    while (true) {
+      if (spawnError) {
+        throw new Error(`Lightpanda server failed to start: ${spawnError.message}`);
+      }
+      
+      if (child.exitCode !== null || child.signalCode !== null) {
+        throw new Error(`Lightpanda server exited: ${errorOutput.trim() || `code ${child.exitCode ?? child.signalCode}`}`);
+      }
+      
+      const ready = await new Promise((resolve) => {
+        const socket = net.connect(port, '127.0.0.1');
+        socket.once('connect', () => { socket.destroy(); resolve(true); });
+        socket.once('error', () => resolve(false));
+      });
+      
+      if (ready) {
+        return { process: child, port, endpoint: `ws://127.0.0.1:${port}` };
+      }
+      
+      if (Date.now() > deadline) {
+        child.kill();
+        throw new Error('Lightpanda server did not start within 10s');
+      }
+      
+      await new Promise(r => setTimeout(r, 100));
+    }
+  }
+  
+  /**
+   * Stop a Lightpanda server, forcing it after 2s
+   * @private
+   */
+  async stopLightpandaServer(server) {
+    const child = server.process;
+    if (child.exitCode !== null || child.signalCode !== null) {
+      return;
+    }
+    
+    await new Promise((resolve) => {
+      const force = setTimeout(() => child.kill('SIGKILL'), 2000);
+      child.once('exit', () => {
+        clearTimeout(force);
+        resolve();
+      });
+      child.kill();
+    });
+  }
+  
+  /**
+   * Puppeteer browser - full Chromium for complex JavaScript sites
+   */
+  async tryPuppeteer(url, config) {
+    this.stats.puppeteer.attempts++;
+    
+    if (!puppeteer) {
+      throw new Error('Puppeteer is not available');
+    }
+    
+    let lease = null;
+    let collectNetwork = null;
+    
+    try {
+      const proxy = this.resolveProxy(config);
+      
+      // Every scrape gets its own incognito context; proxies are set per
+      // context so the shared browser can rotate them
+      lease = await this.pagePool.acquire({
+        maxPages: config.maxConcurrentPages,
+        recycleAfter: config.browserRecycleAfter,
+        proxyServer: proxy ? this.parseProxyUrl(proxy).server : null
+      });
+      
+      const { page } = lease;
+      await this.preparePage(page, url, config, { proxy });
+      collectNetwork = config.captureNetwork ? this.captureNetworkResponses(page, config) : null;
+      
+      // Navigate with timeout
+      const response = await page.goto(url, { 
+        waitUntil: 'networkidle0', 
+        timeout: config.timeout 
+      });
+      
+      const actions = await this.runPageActions(page, config.actions, config);
+      const actionError = this.getActionError(actions);
+      if (actionError) {
+        return { success: false, error: actionError, actions, network: collectNetwork ? await collectNetwork(1000) : undefined };
+      }
+      
+      const scrolled = this.getPaginationMode(config) === 'scroll' ?
+        await this.scrollToLoad(page, config.paginate) :
+        undefined;
+      
+      const { content, extracted } = await this.extractPageContent(page, config);
+      
+      // Keep the rendered DOM so callers can follow links or re-parse it
+      const html = await page.content();
+      const finalUrl = page.url();
+      
+      if (config.session) {
+        await this.syncPageToSession(page, config.session);
+      }
+      
+      const network = collectNetwork ? await collectNetwork() : undefined;
+      this.stats.puppeteer.successes++;
+      
+      return {
+        success: true,
+        content: JSON.stringify(content, null, 2),
+        html,
+        size: JSON.stringify(content).length,
+        statusCode: response ? response.status() : undefined,
+        retryAfter: response ? this.parseRetryAfter(response.headers()['retry-after']) : null,
+        finalUrl,
+        extracted,
+        actions,
+        pages: scrolled?.pages,
+        items: scrolled?.items,
+        network
+      };
+      
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        errorCode: error.code || error.name,
+        // Responses captured before the failure are still worth returning
+        network: collectNetwork ? await collectNetwork(1000) : undefined
+      };
+    } finally {
+      if (lease) {
+        await lease.release();
+      }
+    }
+  }
+  
+  /**
+   * Apply the session cookies, auth, headers, user agent and request
+   * interception a scrape needs to a fresh page before navigation
+   * @private
+   */
+  async preparePage(page, url, config, { proxy = null, blockResources = true, viewport = true } = {}) {
+    if (config.session) {
+      await this.syncSessionToPage(page, config.session);
+    }
+    
+    const request = this.getRequestOptions(config);
+    const proxyAuth = proxy ? this.parseProxyUrl(proxy) : {};
+    const { Authorization: authorization, ...extraHeaders } = request.headers;
+    
+    // Chrome answers proxy and server auth challenges with the same credentials,
+    // so Basic auth is only left to the challenge when no proxy needs them
+    let originHeaders = {};
+    if (proxyAuth.username) {
+      await page.authenticate({ username: proxyAuth.username, password: proxyAuth.password });
+      if (authorization) originHeaders = { 'Authorization': authorization };
+    } else if (config.auth?.username !== undefined) {
+      await page.authenticate({ username: config.auth.username, password: config.auth.password || '' });
+    } else if (authorization) {
+      originHeaders = { 'Authorization': authorization };
+    }
+    
+    if (Object.keys(extraHeaders).length > 0) {
+      await page.setExtraHTTPHeaders(extraHeaders);
+    }
+    
+    // Set user agent and viewport
+    await page.setUserAgent(config.userAgent);
+    if (viewport) {
+      await page.setViewport({ width: 1280, height: 720 });
+    }
+    
+    if (!blockResources && Object.keys(originHeaders).length === 0 && request.method === 'GET') {
+      return;
+    }
+    
+    // Block unnecessary resources for faster loading
+    const targetOrigin = new URL(url).origin;
+    let navigated = false;
+    await page.setRequestInterception(true);
+    page.on('request', (req) => {
+      const resourceType = req.resourceType();
+      if (blockResources && ['image', 'stylesheet', 'font', 'media'].includes(resourceType)) {
+        req.abort();
+        return;
+      }
+      
+      const overrides = {};
+      
+      // Bearer tokens only go to the target origin, never to third parties
+      if (Object.keys(originHeaders).length > 0 && new URL(req.url()).origin === targetOrigin) {
+        overrides.headers = { ...req.headers(), ...originHeaders };
+      }
+      
+      // Send the configured method and body with the first navigation only
+      if (!navigated && req.isNavigationRequest() && req.frame() === page.mainFrame()) {
+        navigated = true;
+        if (request.method !== 'GET') {
+          overrides.method = request.method;
+          overrides.postData = request.body === undefined ? undefined :
+            (ArrayBuffer.isView(request.body) ? Buffer.from(request.body) : request.body).toString();
+          overrides.headers = { ...(overrides.headers || req.headers()), ...this.getBodyHeaders(request) };
+        }
+      }
+      
+      req.continue(overrides);
+    });
+  }
+  
+  /**
+   * Extract content using browser APIs, plus any extraction schema results
+   * @private
+   */
+  async extractPageContent(page, config) {
+    const content = await page.evaluate(() => {
+      // Get basic page info
+      const title = document.title;
+      const metaDescription = document.querySelector('meta[name="description"]')?.content || '';
+      const canonical = document.querySelector('link[rel="canonical"]')?.href || '';
+      
+      // Extract headings
+      const headings = Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6'))
+        .map(h => ({
+          level: h.tagName.toLowerCase(),
+          text: h.textContent.trim()
+        }))
+        .filter(h => h.text.length > 0)
+        .slice(0, 20);
+      
+      // Extract paragraphs
+      const paragraphs = Array.from(document.querySelectorAll('p'))
+        .map(p => p.textContent.trim())
+        .filter(text => text.length > 20)
+        .slice(0, 10);
+      
+      // Extract links
+      const links = Array.from(document.querySelectorAll('a[href]'))
+        .map(a => ({
+          text: a.textContent.trim(),
+          href: a.href
+        }))
+        .filter(link => link.text.length > 0)
+        .slice(0, 15);
+      
+      // Extract JSON-LD structured data
+      const structuredData = Array.from(document.querySelectorAll('script[type=\"application/ld+json\"]'))
+        .map(script => {
+          try {
+            return JSON.parse(script.textContent);
+          } catch {
+            return null;
+          }
+        })
+        .filter(data => data !== null);
+      
+      // Get page text content (truncated)
+      const bodyText = document.body.textContent
+        .replace(/\\s+/g, ' ')
+        .trim()
+        .substring(0, 3000);
+      
+      return {
+        title,
+        metaDescription,
+        canonical,
+        headings,
+        paragraphs,
+        links,
+        structuredData,
+        bodyText,
+        url: window.location.href
+      };
+    });
+    
+    // Run extraction schemas against the live DOM
+    const extracted = config.extractionSchema ?
+      await page.evaluate(applyExtractionSchema, null, config.extractionSchema, page.url()) :
+      undefined;
+    
+    return { content, extracted };
+  }
+  
+  /**
+   * Run scripted page actions (click, type, select, ...) in order
+   * A failing step stops the sequence unless it is marked `optional`
+   * @private
+   * @returns {Promise<Array|undefined>} One result per step that ran
+   */
+  async runPageActions(page, actions, config) {
+    if (!actions?.length) {
+      return undefined;
+    }
+    
+    const results = [];
+    
+    for (const step of actions) {
+      const timeout = step.timeout ?? config.timeout;
+      const stepStart = Date.now();
+      const result = { type: step.type, success: true };
+      
+      try {
+        switch (step.type) {
+          case 'click':
+            if (step.waitForNavigation) {
+              await Promise.all([
+                page.waitForNavigation({ waitUntil: 'networkidle0', timeout }),
+                page.click(step.selector)
+              ]);
+            } else {
+              await page.click(step.selector);
+            }
+            break;
+          case 'type':
+            await page.type(step.selector, String(step.text ?? ''), { delay: step.delay });
+            break;
+          case 'select':
+            result.value = await page.select(step.selector, ...[].concat(step.value ?? []));
+            break;
+          case 'press':
+            if (step.selector) {
+              await page.focus(step.selector);
+            }
+            await page.keyboard.press(step.key);
+            break;
+          case 'scroll':
+            // Into view for a selector, by x/y pixels, otherwise to the bottom
+            if (step.selector) {
+              await page.$eval(step.selector, el => el.scrollIntoView({ block: 'center' }));
+            } else if (step.x !== undefined || step.y !== undefined) {
+              await page.evaluate((x, y) => window.scrollBy(x, y), step.x ?? 0, step.y ?? 0);
+            } else {
+              await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+            }
+            break;
+          case 'waitForSelector':
+            await page.waitForSelector(step.selector, { visible: step.visible, hidden: step.hidden, timeout });
+            break;
+          case 'waitForFunction':
+            await page.waitForFunction(step.fn, { timeout, polling: step.polling }, ...(step.args || []));
+            break;
+          case 'wait':
+            await new Promise(r => setTimeout(r, step.ms ?? 0));
+            break;
+          case 'evaluate':
+            result.value = await page.evaluate(step.fn, ...(step.args || []));
+            break;
+          default:
+            throw new Error(`Unknown action type: ${step.type}`);
+        }
+      } catch (error) {
+        result.success = false;
+        result.error = error.message;
+        if (step.optional) result.optional = true;
+      }
+      
+      result.duration = Date.now() - stepStart;
+      results.push(result);
+      
+      if (!result.success && !step.optional) {
+        break;
+      }
+    }
+    
+    return results;
+  }
+  
+  /**
+   * Error message for the first required action that failed, if any
+   * @private
+   */
+  getActionError(actions) {
+    const index = actions ? actions.findIndex(action => !action.success && !action.optional) : -1;
+    return index === -1 ? null : `Action ${index + 1} (${actions[index].type}) failed: ${actions[index].error}`;
+  }
+  
+  /**
+   * Scroll an infinite-scroll page until no new content loads, up to
+   * `maxPages` screens or `maxItems` items. Each screen is one page boundary
+   * @private
+   */
+  async scrollToLoad(page, paginate) {
+    const maxPages = paginate.maxPages ?? 10;
+    const scrollDelay = paginate.scrollDelay ?? 2000;
+    const itemSelector = paginate.itemSelector || null;
+    const pages = [];
+    const items = [];
+    
+    const readState = (seen) => page.evaluate((selector, seen) => {
+      const elements = selector ? Array.from(document.querySelectorAll(selector)) : [];
+      return {
+        height: document.body.scrollHeight,
+        count: elements.length,
+        items: elements.slice(seen).map(el => ({
+          text: el.innerText.replace(/\s+/g, ' ').trim(),
+          html: el.outerHTML
+        }))
+      };
+    }, itemSelector, seen);
+    
+    let state = await readState(0);
+    
+    while (true) {
+      pages.push({
+        index: pages.length + 1,
+        url: page.url(),
+        scrollHeight: state.height,
+        ...(itemSelector ? { items: state.items.length } : {})
+      });
+      items.push(...state.items.map(item => ({ page: pages.length, ...item })));
+      
+      if (pages.length >= maxPages || (paginate.maxItems && items.length >= paginate.maxItems)) {
+        break;
+      }
+      
+      const before = state;
+      await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+      
+      // Wait for the page to grow, then for the requests that fill it to settle
+      const grew = await page.waitForFunction(
+        (height, count, selector) => document.body.scrollHeight > height ||
+          (selector !== null && document.querySelectorAll(selector).length > count),
+        { timeout: scrollDelay },
+        before.height, before.count, itemSelector
+      ).then(() => true, () => false);
+      
+      if (!grew) {
+        break;
+      }
+      
+      await page.waitForNetworkIdle({ idleTime: 300, timeout: scrollDelay }).catch(() => {});
+      state = await readState(items.length);
+    }
+    
+    return {
+      pages,
+      items: itemSelector ? items.slice(0, paginate.maxItems || undefined) : undefined
+    };
+  }
+  
+  /**
+   * Record the XHR/fetch responses a page receives that match captureNetwork
+   * Returns a function that resolves to the records once their bodies are read;
+   * given `maxWait`, records whose body isn't read by then are left out
+   * @private
+   */
+  captureNetworkResponses(page, config) {
+    const options = config.captureNetwork === true ? {} : config.captureNetwork;
+    const include = [].concat(options.include || []);
+    const exclude = [].concat(options.exclude || []);
+    const resourceTypes = options.resourceTypes || ['xhr', 'fetch'];
+    const maxResponses = options.maxResponses ?? 100;
+    const records = [];
+    
+    page.on('response', (response) => {
+      const request = response.request();
+      const responseUrl = response.url();
+      const status = response.status();
+      
+      if (records.length >= maxResponses || !resourceTypes.includes(request.resourceType())) return;
+      // Redirects have no body; the final response is recorded on its own
+      if (status >= 300 && status < 400) return;
+      if (include.length > 0 && !include.some(pattern => this.matchesUrlPattern(responseUrl, pattern))) return;
+      if (exclude.some(pattern => this.matchesUrlPattern(responseUrl, pattern))) return;
+      
+      const headers = response.headers();
+      const isJson = /[/+]json\b/i.test(headers['content-type'] || '');
+      if (!isJson && options.jsonOnly !== false) return;
+      
+      const record = {
+        url: responseUrl,
+        method: request.method(),
+        status,
+        resourceType: request.resourceType(),
+        headers,
+        body: null
+      };
+      
+      const size = parseInt(headers['content-length'], 10);
+      if (config.maxBytes && size > config.maxBytes) {
+        records.push(Promise.resolve({ ...record, error: `Response too large: ${size} bytes exceeds ${config.maxBytes} (maxBytes)` }));
+        return;
+      }
+      
+      records.push(response.text().then(text => {
+        // Chunked responses have no Content-Length, so check what was read
+        if (config.maxBytes && Buffer.byteLength(text) > config.maxBytes) {
+          return { ...record, error: `Response too large: more than ${config.maxBytes} bytes (maxBytes)` };
+        }
+        
+        try {
+          return { ...record, body: JSON.parse(text) };
+        } catch (error) {
+          return isJson ? { ...record, error: `Invalid JSON: ${error.message}` } : { ...record, body: text };
+        }
+      }, error => ({ ...record, error: error.message })));
+    });
+    
+    return (maxWait) => {
+      if (maxWait === undefined) {
+        return Promise.all(records);
+      }
+      
+      return Promise.all(records.map(record => Promise.race([
+        record,
+        new Promise(resolve => setTimeout(resolve, maxWait, null))
+      ]))).then(results => results.filter(Boolean));
+    };
+  }
+  
+  /**
+   * Copy the session's cookies into a Puppeteer page
+   * @private
+   */
+  async syncSessionToPage(page, session) {
+    const cookies = session.cookies.getCookies().map(cookie => ({
+      name: cookie.name,
+      value: cookie.value,
+      path: cookie.path,
+      secure: cookie.secure,
+      httpOnly: cookie.httpOnly,
+      ...(cookie.hostOnly ?
+        { url: `${cookie.secure ? 'https' : 'http'}://${cookie.domain}${cookie.path}` } :
+        { domain: `.${cookie.domain}` }),
+      ...(cookie.expires ? { expires: Math.floor(cookie.expires / 1000) } : {}),
+      ...(cookie.sameSite ? { sameSite: cookie.sameSite.charAt(0).toUpperCase() + cookie.sameSite.slice(1).toLowerCase() } : {})
+    }));
+    
+    if (cookies.length > 0) {
+      await page.setCookie(...cookies);
+    }
+  }
+  
+  /**
+   * Store the cookies a Puppeteer page ended up with in the session
+   * @private
+   */
+  async syncPageToSession(page, session) {
+    for (const cookie of await page.cookies()) {
+      session.cookies.setCookie({
+        name: cookie.name,
+        value: cookie.value,
+        domain: cookie.domain.replace(/^\./, ''),
+        hostOnly: !cookie.domain.startsWith('.'),
+        path: cookie.path,
+        expires: cookie.expires > 0 ? cookie.expires * 1000 : null,
+        secure: cookie.secure,
+        httpOnly: cookie.httpOnly,
+        sameSite: cookie.sameSite
+      });
+    }
+  }
+  
+  /**
+   * Launch a Puppeteer browser for the page pool
+   * @private
+   */
+  launchBrowser() {
+    return puppeteer.launch({
+      headless: true,
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-accelerated-2d-canvas',
+        '--no-first-run',
+        '--no-zygote',
+        '--disable-gpu'
+      ]
+    });
+  }
+  
+  /**
+   * PDF parsing method - handles PDF documents
+   */
+  async tryPDFParse(url, config) {
+    this.stats.pdf.attempts++;
+    
+    try {
+      // Download PDF with timeout
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), config.timeout);
+      
+      const request = this.getRequestOptions(config);
+      const { response, cacheStatus } = await this.fetchWithCache(url, {
+        method: request.method,
+        headers: this.mergeHeaders({
+          'User-Agent': config.userAgent,
+          'Accept': 'application/pdf,*/*'
+        }, request.headers),
+        body: request.body,
+        agent: this.getProxyAgent(this.resolveProxy(config)),
+        signal: controller.signal
+      }, config);
+      
+      clearTimeout(timeoutId);
+      
+      if (!response.ok) {
+        return {
+          success: false,
+          error: `HTTP ${response.status}: ${response.statusText}`,
+          statusCode: response.status,
+          retryAfter: this.parseRetryAfter(response.headers.get('retry-after'))
+        };
+      }
+      
+      // Check content type (be lenient - accept various content types)
+      const contentType = response.headers.get('content-type') || '';
+      const acceptableTypes = ['pdf', 'octet-stream', 'binary', 'download'];
+      const isAcceptableType = acceptableTypes.some(type => contentType.includes(type));
+      
+      if (!isAcceptableType && !url.toLowerCase().includes('.pdf')) {
+        return {
+          success: false,
+          error: `Not a PDF document: ${contentType}`
+        };
+      }
+      
+      // Get PDF buffer, aborting once it passes maxBytes
+      const { buffer } = await this.readBody(response, config.maxBytes);
+      
+      // Parse PDF
+      const pdfData = await pdfParse(buffer);
+      
+      // Extract structured content
+      const content = {
+        title: pdfData.info?.Title || 'Untitled PDF',
+        author: pdfData.info?.Author || '',
+        subject: pdfData.info?.Subject || '',
+        keywords: pdfData.info?.Keywords || '',
+        creator: pdfData.info?.Creator || '',
+        producer: pdfData.info?.Producer || '',
+        creationDate: pdfData.info?.CreationDate || '',
+        modificationDate: pdfData.info?.ModificationDate || '',
+        pages: pdfData.numpages || 0,
+        text: pdfData.text || '',
+        metadata: pdfData.metadata || null,
+        url: url
+      };
+      
+      this.stats.pdf.successes++;
+      
+      return {
+        success: true,
+        content: JSON.stringify(content, null, 2),
+        size: buffer.length,
+        contentType: 'application/pdf',
+        pages: content.pages,
+        cacheStatus
+      };
+      
+    } catch (error) {
+      if (error.code === 'ERR_TOO_LARGE') {
+        return {
+          success: false,
+          error: error.message,
+          errorCode: error.code,
+          tooLarge: true
+        };
+      }
+      
+      return {
+        success: false,
+        error: `PDF parsing error: ${error.message}`,
+        errorCode: error.code || error.name
+      };
+    }
+  }
+  
+  /**
+   * Read a response body as a stream, enforcing a size limit
+   * Content-Length is checked before reading; the running byte count aborts
+   * the download as soon as it passes the limit
+   * 
+   * @param {Response} response - fetch response
+   * @param {number} maxBytes - Size limit (0 or null for none)
+   * @param {Function} stopWhen - Optional check on the first bytes; returning true stops the download
+   * @returns {Promise<{buffer: Buffer, stopped: boolean}>}
+   * @private
+   */
+  async readBody(response, maxBytes, stopWhen = null) {
+    const tooLarge = (detail) => {
+      const error = new Error(`Response too large: ${detail} (maxBytes)`);
+      error.code = 'ERR_TOO_LARGE';
+      return error;
+    };
+    
+    const declared = parseInt(response.headers.get('content-length'), 10);
+    if (maxBytes && declared > maxBytes) {
+      response.body?.destroy?.();
+      throw tooLarge(`${declared} bytes exceeds ${maxBytes}`);
+    }
+    
+    if (!response.body) {
+      return { buffer: Buffer.alloc(0), stopped: false };
+    }
+    
+    const chunks = [];
+    let total = 0;
+    let sniffed = !stopWhen;
+    
+    for await (const chunk of response.body) {
+      chunks.push(chunk);
+      total += chunk.length;
+      
+      if (maxBytes && total > maxBytes) {
+        response.body.destroy();
+        throw tooLarge(`more than ${maxBytes} bytes`);
+      }
+      
+      // Content sniffing needs only the first few bytes
+      if (!sniffed && total >= 8) {
+        sniffed = true;
+        if (stopWhen(Buffer.concat(chunks))) {
+          response.body.destroy();
+          return { buffer: Buffer.concat(chunks), stopped: true };
+        }
+      }
+    }
+    
+    const buffer = Buffer.concat(chunks);
+    if (!sniffed && buffer.length > 0 && stopWhen(buffer)) {
+      return { buffer, stopped: true };
+    }
+    return { buffer, stopped: false };
+  }
+  
+  /**
+   * Decode an HTML response body
+   * The charset comes from the BOM, then the Content-Type header, then
+   * <meta charset> / http-equiv or XML declarations, defaulting to UTF-8
+   * 
+   * @param {Buffer} buffer - Raw body
+   * @param {string} contentType - Content-Type header value
+   * @returns {{text: string, encoding: string}} Decoded text and the encoding used
+   */
+  decodeHTML(buffer, contentType = '') {
+    const label = this.detectCharset(buffer, contentType);
+    let decoder;
+    
+    try {
+      decoder = new TextDecoder(label);
+    } catch {
+      // Unknown or unsupported label
+      decoder = new TextDecoder('utf-8');
+    }
+    
+    return {
+      text: decoder.decode(buffer),
+      encoding: decoder.encoding
+    };
+  }
+  
+  /**
+   * Detect the charset label of an HTML body
+   * @private
+   */
+  detectCharset(buffer, contentType = '') {
+    // Byte order marks win over every declaration
+    if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) return 'utf-8';
+    if (buffer[0] === 0xFE && buffer[1] === 0xFF) return 'utf-16be';
+    if (buffer[0] === 0xFF && buffer[1] === 0xFE) return 'utf-16le';
+    
+    const headerCharset = /charset\s*=\s*["']?([\w.:-]+)/i.exec(contentType || '');
+    if (headerCharset) return headerCharset[1];
+    
+    // Prescan the start of the document, as browsers do
+    const head = buffer.subarray(0, 1024).toString('latin1');
+    const declared =
+      /<meta[^>]+charset\s*=\s*["']?\s*([\w.:-]+)/i.exec(head) ||
+      /<\?xml[^>]+encoding\s*=\s*["']([\w.:-]+)/i.exec(head);
+    
+    if (declared) {
+      // A document that can be read as ASCII can't really be UTF-16
+      return /^utf-?16/i.test(declared[1]) ? 'utf-8' : declared[1];
+    }
+    
+    return 'utf-8';
+  }
+  
+  /**
+   * Intelligent detection of browser requirement
+   */
+  detectBrowserRequirement(html, url) {
+    // Whitelist simple sites that should always use direct fetch
+    const simpleSites = [
+      'example.com',
+      'httpbin.org',
+      'wikipedia.org',
+      'github.io',
+      'netlify.app',
+      'vercel.app'
+    ];
+    
+    if (simpleSites.some(site => url.includes(site))) {
+      return false; // Always use direct fetch for these
+    }
+    
+    const root = this.parseDocument(html);
+    
+    // Check for common SPA patterns (be more specific)
+    const spaIndicators = [
+      /window\.__NEXT_DATA__/i,
+      /window\.__NUXT__/i,
+      /_next\/static/i,
+      /__webpack_require__/i
+    ];
+    
+    // Check for protection systems (more specific patterns)
+    const protectionIndicators = [
+      /cloudflare.*challenge/i,
+      /cloudflare.*protection/i,
+      /ray id.*cloudflare/i,
+      /please enable javascript/i,
+      /you need to enable javascript/i,
+      /this site requires javascript/i,
+      /jscript.*required/i,
+      /security check.*cloudflare/i,
+      /attention required.*cloudflare/i
+    ];
+    
+    // Domain-based checks for known SPA sites
+    const domainIndicators = [
+      /instagram\.com/i,
+      /twitter\.com/i,
+      /facebook\.com/i,
+      /linkedin\.com/i,
+      /maps\.google/i,
+      /gmail\.com/i,
+      /youtube\.com/i
+    ];
+    
+    // Empty framework mount points are the strongest SPA signal
+    const hasEmptyMount = root.querySelectorAll('div#root, div#app')
+      .some(mount => mount.childNodes.every(child => child.nodeType === 3 && !child.text.trim()));
+    
+    // Check if it's clearly a SPA or protected site
+    const hasSpaIndicators = hasEmptyMount ||
+      !!root.querySelector('[data-reactroot]') ||
+      spaIndicators.some(pattern => pattern.test(html));
+    const hasProtection = protectionIndicators.some(pattern => pattern.test(html));
+    const isKnownSpa = domainIndicators.some(pattern => pattern.test(url));
+    
+    // Check for minimal content BUT only if we also have SPA indicators
+    const textContent = this.getVisibleText(root.querySelector('body') || root);
+    
+    const hasMinimalContent = textContent.length < 200; // More conservative threshold
+    const isLikelySpa = hasMinimalContent && hasSpaIndicators;
+    
+    // Only require browser if we have strong indicators
+    const needsBrowser = hasProtection || isKnownSpa || isLikelySpa;
+    
+    return needsBrowser;
+  }
+  
+  /**
+   * Get browser requirement indicators for debugging
+   */
+  getBrowserIndicators(html) {
+    const indicators = [];
+    
+    const mount = this.parseDocument(html).querySelector('div#root');
+    if (mount && mount.childNodes.every(child => child.nodeType === 3 && !child.text.trim())) {
+      indicators.push('React root div detected');
+    }
+    if (/window\.__NEXT_DATA__/i.test(html)) {
+      indicators.push('Next.js data detected');
+    }
+    if (/cloudflare.*challenge/i.test(html)) {
+      indicators.push('Cloudflare challenge detected');
+    }
+    if (/cloudflare.*protection/i.test(html)) {
+      indicators.push('Cloudflare protection detected');
+    }
+    if (/please enable javascript/i.test(html)) {
+      indicators.push('JavaScript required message detected');
+    }
+    
+    return indicators;
+  }
+  
+  /**
+   * Extract structured content from HTML
+   * Returns the same headings, paragraphs, links and structured data
+   * as the Puppeteer extraction, so every method yields the same shape
+   */
+  extractContentFromHTML(html, url = '') {
+    try {
+      const root = this.parseDocument(html);
+      const base = this.getDocumentBaseUrl(root, url);
+      const resolve = (href) => {
+        try {
+          return base ? new URL(href, base).href : href;
+        } catch {
+          return href;
+        }
+      };
+      
+      const title = (root.querySelector('title')?.text || '').replace(/\s+/g, ' ').trim();
+      
+      // Collect every meta tag, whatever the attribute order
+      const metaTags = {};
+      root.querySelectorAll('meta[content]').forEach(meta => {
+        const key = meta.getAttribute('name') || meta.getAttribute('property') || meta.getAttribute('itemprop');
+        if (key && !(key in metaTags)) {
+          metaTags[key] = meta.getAttribute('content');
+        }
+      });
+      
+      const metaDescription = metaTags.description || metaTags['og:description'] || '';
+      const canonicalHref = root.querySelector('link[rel="canonical"]')?.getAttribute('href');
+      const canonical = canonicalHref ? resolve(canonicalHref) : '';
+      
+      // Extract headings
+      const headings = root.querySelectorAll('h1, h2, h3, h4, h5, h6')
+        .map(h => ({
+          level: h.rawTagName.toLowerCase(),
+          text: this.getVisibleText(h)
+        }))
+        .filter(h => h.text.length > 0)
+        .slice(0, 20);
+      
+      // Extract paragraphs
+      const paragraphs = root.querySelectorAll('p')
+        .map(p => this.getVisibleText(p))
+        .filter(text => text.length > 20)
+        .slice(0, 10);
+      
+      // Extract links
+      const links = root.querySelectorAll('a[href]')
+        .map(a => ({
+          text: this.getVisibleText(a),
+          href: resolve(a.getAttribute('href'))
+        }))
+        .filter(link => link.text.length > 0)
+        .slice(0, 15);
+      
+      // Extract JSON-LD structured data
+      const structuredData = root.querySelectorAll('script[type="application/ld+json"]')
+        .map(script => {
+          try {
+            return JSON.parse(script.text);
+          } catch {
+            return null;
+          }
+        })
+        .filter(data => data !== null);
+      
+      // Extract window state data (Next.js ships it as a JSON script tag)
+      let windowData = null;
+      const nextData = root.querySelector('script#__NEXT_DATA__');
+      if (nextData) {
+        try {
+          windowData = JSON.parse(nextData.text);
+        } catch {
+          windowData = 'Found but unparseable';
+        }
+      } else {
+        for (const script of root.querySelectorAll('script')) {
+          const match = script.text.match(/window\.__(?:INITIAL_STATE|INITIAL_DATA|NEXT_DATA|NUXT)__\s*=\s*({[\s\S]*?})\s*;?\s*$/m);
+          if (!match) continue;
+          try {
+            windowData = JSON.parse(match[1]);
+          } catch {
+            windowData = 'Found but unparseable';
+          }
+          break;
+        }
+      }
+      
+      // Extract main content
+      const textContent = this.getVisibleText(root.querySelector('body') || root).substring(0, 2000);
+      
+      return JSON.stringify({
+        title,
+        metaDescription,
+        canonical,
+        headings,
+        paragraphs,
+        links,
+        structuredData: structuredData.length > 0 ? structuredData : null,
+        windowData,
+        metaTags: Object.keys(metaTags).length > 0 ? metaTags : null,
+        content: textContent,
+        url: url || undefined,
+        extractedAt: new Date().toISOString()
+      }, null, 2);
+      
+    } catch (error) {
+      return JSON.stringify({
+        error: 'Content extraction failed',
+        message: error.message,
+        rawLength: html.length
+      }, null, 2);
+    }
+  }
+  
+  /**
+   * Isolate the main article of a page, Readability-style
+   * Blocks are scored by text and link density so navigation, cookie
+   * banners, footers and sidebars are left out
+   * 
+   * @param {string} html - Raw HTML
+   * @param {string} url - Page URL used to resolve the lead image
+   * @returns {object} Article text plus title, byline, publish date and lead image
+   */
+  extractMainContent(html, url = '') {
+    const root = this.parseDocument(html);
+    const base = this.getDocumentBaseUrl(root, url);
+    const { nodes, excluded } = this.findArticleNodes(root);
+    
+    const meta = (...keys) => {
+      for (const key of keys) {
+        const value = root.querySelector(`meta[property="${key}"], meta[name="${key}"], meta[itemprop="${key}"]`)
+          ?.getAttribute('content')?.trim();
+        if (value) return value;
+      }
+      return null;
+    };
+    
+    const resolve = (href) => {
+      if (!href) return null;
+      try {
+        return base ? new URL(href, base).href : href;
+      } catch {
+        return href;
+      }
+    };
+    
+    // JSON-LD often carries the cleanest article metadata
+    const jsonLd = root.querySelectorAll('script[type="application/ld+json"]')
+      .flatMap(script => {
+        try {
+          const data = JSON.parse(script.text);
+          return [].concat(data['@graph'] || data);
+        } catch {
+          return [];
+        }
+      })
+      .find(item => /Article|BlogPosting|NewsArticle|Report/i.test([].concat(item?.['@type'] || []).join(' ')));
+    
+    const names = (value) => [].concat(value || [])
+      .map(entry => (typeof entry === 'string' ? entry : entry?.name))
+      .filter(Boolean)
+      .join(', ');
+    
+    const bylineNode = nodes.flatMap(node => node.querySelectorAll('[rel="author"], [itemprop="author"], .byline, .author'))[0] ||
+      root.querySelector('[rel="author"], [itemprop="author"], .byline, .author');
+    const bylineText = bylineNode ? this.getVisibleText(bylineNode) : '';
+    const byline = meta('author', 'article:author', 'dc.creator') ||
+      names(jsonLd?.author) ||
+      (bylineText.length > 0 && bylineText.length < 100 ? bylineText : null);
+    
+    const dateValue = meta('article:published_time', 'datePublished', 'pubdate', 'publishdate', 'date', 'dc.date', 'dc.date.issued') ||
+      jsonLd?.datePublished ||
+      root.querySelector('time[datetime]')?.getAttribute('datetime') ||
+      null;
+    const parsedDate = dateValue ? new Date(dateValue) : null;
+    const publishedAt = parsedDate && !Number.isNaN(parsedDate.getTime()) ? parsedDate.toISOString() : dateValue;
+    
+    const jsonLdImage = [].concat(jsonLd?.image || [])[0];
+    const firstImage = nodes.flatMap(node => node.querySelectorAll('img'))
+      .find(img => !excluded.has(img) && (img.getAttribute('src') || img.getAttribute('data-src')));
+    const leadImage = resolve(
+      meta('og:image', 'twitter:image') ||
+      (typeof jsonLdImage === 'string' ? jsonLdImage : jsonLdImage?.url) ||
+      firstImage?.getAttribute('src') ||
+      firstImage?.getAttribute('data-src')
+    );
+    
+    const heading = nodes.flatMap(node => node.querySelectorAll('h1'))[0];
+    const title = meta('og:title', 'twitter:title') ||
+      jsonLd?.headline ||
+      (heading ? this.getVisibleText(heading) : '') ||
+      (root.querySelector('title')?.text || '').replace(/\s+/g, ' ').trim();
+    
+    const text = nodes.map(node => this.getVisibleText(node, excluded)).filter(Boolean).join(' ');
+    const firstParagraph = nodes.flatMap(node => node.querySelectorAll('p'))
+      .map(p => this.getVisibleText(p, excluded))
+      .find(paragraph => paragraph.length > 40);
+    
+    return {
+      title,
+      byline,
+      publishedAt,
+      leadImage,
+      excerpt: meta('description', 'og:description') || firstParagraph || text.substring(0, 200),
+      text,
+      length: text.length
+    };
+  }
+  
+  /**
+   * Score DOM blocks and pick the nodes that make up the article body
+   * Returns the chosen nodes plus the boilerplate nested inside them
+   * @private
+   */
+  findArticleNodes(root) {
+    const unlikely = /-ad-|ai2html|banner|breadcrumb|combx|comment|community|consent|cookie|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|modal|newsletter|nav|pager|pagination|popup|promo|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|supplemental|agegate/i;
+    const maybe = /and|article|body|column|content|main|post|shadow|story|entry/i;
+    const positive = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i;
+    const negative = /-ad-|hidden|banner|combx|comment|com-|contact|cookie|consent|foot|footer|footnote|gdpr|masthead|media|meta|modal|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget|nav|menu/i;
+    const chromeTags = new Set(['nav', 'aside', 'footer', 'header', 'form', 'button', 'dialog']);
+    
+    const tagOf = (node) => (node.rawTagName || '').toLowerCase();
+    const signature = (node) => `${node.getAttribute('class') || ''} ${node.getAttribute('id') || ''}`;
+    const isHidden = (node) => node.hasAttribute('hidden') ||
+      node.getAttribute('aria-hidden') === 'true' ||
+      /display\s*:\s*none|visibility\s*:\s*hidden/i.test(node.getAttribute('style') || '');
+    const isBoilerplate = (node) => {
+      const sig = signature(node);
+      return chromeTags.has(tagOf(node)) || isHidden(node) ||
+        (node.getAttribute('role') === 'navigation') ||
+        (unlikely.test(sig) && !maybe.test(sig));
+    };
+    const insideBoilerplate = (node) => {
+      for (let current = node; current && current.rawTagName; current = current.parentNode) {
+        if (isBoilerplate(current)) return true;
+      }
+      return false;
+    };
+    
+    const classWeight = (node) => {
+      const sig = signature(node);
+      return (positive.test(sig) ? 25 : 0) - (negative.test(sig) ? 25 : 0);
+    };
+    const tagWeight = (node) => {
+      const tag = tagOf(node);
+      if (tag === 'div' || tag === 'article' || tag === 'main') return 5;
+      if (['pre', 'td', 'blockquote'].includes(tag)) return 3;
+      if (['address', 'ol', 'ul', 'dl', 'dd', 'dt', 'li', 'form'].includes(tag)) return -3;
+      if (/^h[1-6]$/.test(tag) || tag === 'th') return -5;
+      return 0;
+    };
+    
+    const linkDensity = (node) => {
+      const textLength = this.getVisibleText(node).length;
+      if (textLength === 0) return 0;
+      const linkLength = node.querySelectorAll('a')
+        .reduce((sum, a) => sum + this.getVisibleText(a).length, 0);
+      return linkLength / textLength;
+    };
+    
+    // Paragraph-like blocks: real paragraphs plus divs that only hold inline content
+    const blocks = root.querySelectorAll('p, pre, td, blockquote, div').filter(node => {
+      if (tagOf(node) !== 'div') return true;
+      return !node.childNodes.some(child => child.nodeType === 1 && BLOCK_TAGS.has(tagOf(child)));
+    });
+    
+    const scores = new Map();
+    for (const block of blocks) {
+      if (insideBoilerplate(block)) continue;
+      
+      const text = this.getVisibleText(block);
+      if (text.length < 25) continue;
+      
+      const score = 1 + (text.match(/[,，、]/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+      
+      // Parents get the full score, ancestors further up a fading share
+      let ancestor = block.parentNode;
+      for (let level = 0; ancestor && ancestor.rawTagName && level < 3; level++) {
+        if (!scores.has(ancestor)) {
+          scores.set(ancestor, tagWeight(ancestor) + classWeight(ancestor));
+        }
+        const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+        scores.set(ancestor, scores.get(ancestor) + score / divider);
+        ancestor = ancestor.parentNode;
+      }
+    }
+    
+    let top = null;
+    let topScore = 0;
+    const finalScores = new Map();
+    for (const [node, score] of scores) {
+      const adjusted = score * (1 - linkDensity(node));
+      finalScores.set(node, adjusted);
+      if (!top || adjusted > topScore) {
+        top = node;
+        topScore = adjusted;
+      }
+    }
+    
+    const fallback = root.querySelector('body') || root;
+    if (!top) {
+      top = fallback;
+    }
+    
+    // Pull in siblings that look like part of the same article
+    const nodes = [];
+    const parent = top.parentNode;
+    if (parent && parent.rawTagName && top !== fallback) {
+      const threshold = Math.max(10, topScore * 0.2);
+      for (const sibling of parent.childNodes) {
+        if (sibling.nodeType !== 1) continue;
+        if (sibling === top) {
+          nodes.push(sibling);
+          continue;
+        }
+        if (isBoilerplate(sibling)) continue;
+        
+        if ((finalScores.get(sibling) ?? -Infinity) >= threshold) {
+          nodes.push(sibling);
+        } else if (tagOf(sibling) === 'p') {
+          const text = this.getVisibleText(sibling);
+          const density = linkDensity(sibling);
+          if ((text.length > 80 && density < 0.25) ||
+              (text.length > 0 && density === 0 && /\.( |$)/.test(text))) {
+            nodes.push(sibling);
+          }
+        }
+      }
+    } else {
+      nodes.push(top);
+    }
+    
+    // Boilerplate nested inside the article (share bars, related links, ...)
+    const excluded = new Set();
+    for (const node of nodes) {
+      for (const descendant of node.querySelectorAll('*')) {
+        if (isBoilerplate(descendant) ||
+            (classWeight(descendant) < 0 && linkDensity(descendant) > 0.5)) {
+          excluded.add(descendant);
+        }
+      }
+    }
+    
+    return { nodes, excluded };
+  }
+  
+  /**
+   * Parse HTML into a DOM tree
+   * The last document is memoized, since detection, extraction and
+   * Markdown conversion usually run over the same HTML back to back.
+   * Call releaseDocument() once a page is done so the DOM isn't kept alive
+   * @private
+   */
+  parseDocument(html) {
+    if (this.parsedDocument?.html !== html) {
+      this.parsedDocument = {
+        html,
+        root: parseHTML(html, {
+          comment: false,
+          blockTextElements: { script: true, noscript: true, style: true, title: true, textarea: true }
+        })
+      };
+    }
+    return this.parsedDocument.root;
+  }
+  
+  /**
+   * Drop the memoized document
+   * @private
+   */
+  releaseDocument() {
+    this.parsedDocument = null;
+  }
+  
+  /**
+   * Resolve the base URL of a document, honoring <base href>
+   * @private
+   */
+  getDocumentBaseUrl(root, url) {
+    const baseHref = root.querySelector('base[href]')?.getAttribute('href');
+    if (!baseHref) {
+      return url;
+    }
+    
+    try {
+      return new URL(baseHref, url || undefined).href;
+    } catch {
+      return url;
+    }
+  }
+  
+  /**
+   * Get the visible, whitespace-collapsed text of a DOM node
+   * @private
+   */
+  getVisibleText(node, excluded = null) {
+    const parts = [];
+    
+    const walk = (current) => {
+      if (current.nodeType === 3) {
+        parts.push(current.text);
+        return;
+      }
+      
+      if (current.nodeType !== 1) return;
+      if (excluded && excluded.has(current)) return;
+      
+      const tag = (current.rawTagName || '').toLowerCase();
+      if (NON_CONTENT_TAGS.has(tag)) return;
+      
+      const isBlock = BLOCK_TAGS.has(tag);
+      if (isBlock) parts.push(' ');
+      current.childNodes.forEach(walk);
+      if (isBlock) parts.push(' ');
+    };
+    
+    walk(node);
+    return parts.join('').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Convert a successful scrape result to Markdown
+   * @private
+   */
+  resultToMarkdown(result, method, url, config = {}) {
+    if (method === 'pdf') {
+      try {
+        const pdf = JSON.parse(result.content);
+        return `# ${pdf.title}\n\n${(pdf.text || '').trim()}\n`;
+      } catch {
+        return null;
+      }
+    }
+    
+    return result.html ?
+      this.convertToMarkdown(result.html, result.finalUrl || url, { mainContent: config.mainContent }) :
+      null;
+  }
+  
+  /**
+   * Convert the main content of an HTML document to Markdown
+   * Links and images are resolved against the page URL
+   * 
+   * @param {string} html - Raw HTML
+   * @param {string} baseUrl - URL used to resolve relative links
+   * @param {object} options - { mainContent } to convert only the scored article body
+   * @returns {string} Markdown text
+   */
+  convertToMarkdown(html, baseUrl, options = {}) {
+    const root = this.parseDocument(html);
+    const base = this.getDocumentBaseUrl(root, baseUrl);
+    
+    const resolve = (href) => {
+      if (!href || /^(?:javascript|data):/i.test(href.trim())) return null;
+      try {
+        return new URL(href.trim(), base).href;
+      } catch {
+        return href.trim();
+      }
+    };
+    
+    let containers;
+    let excluded = new Set();
+    let main = null;
+    
+    if (options.mainContent) {
+      ({ nodes: containers, excluded } = this.findArticleNodes(root));
+    } else {
+      // Prefer an explicit main content container over the whole body
+      main = root.querySelector('main') ||
+        root.querySelector('[role="main"]') ||
+        root.querySelector('article');
+      containers = [main || root.querySelector('body') || root];
+    }
+    
+    const skipTags = new Set([
+      'script', 'style', 'noscript', 'template', 'iframe', 'svg', 'canvas',
+      'form', 'button', 'input', 'select', 'textarea', 'head', 'title', 'meta', 'link'
+    ]);
+    
+    // Page chrome only gets dropped when falling back to <body>
+    if (!main && !options.mainContent) {
+      ['nav', 'header', 'footer', 'aside'].forEach(tag => skipTags.add(tag));
+    }
+    
+    const blockTags = new Set([
+      'address', 'article', 'aside', 'body', 'dd', 'details', 'dialog', 'div', 'dl', 'dt',
+      'fieldset', 'figcaption', 'figure', 'footer', 'header', 'main', 'nav', 'section', 'summary'
+    ]);
+    
+    const wrapInline = (content, marker) => {
+      const trimmed = content.trim();
+      if (!trimmed) return content;
+      const lead = content.match(/^\s*/)[0] ? ' ' : '';
+      const trail = content.match(/\s*$/)[0] ? ' ' : '';
+      return `${lead}${marker}${trimmed}${marker}${trail}`;
+    };
+    
+    const tighten = (markdown) => markdown.replace(/\n{2,}/g, '\n').trim();
+    
+    const render = (node) => {
+      if (node.nodeType === 3) {
+        return node.text.replace(/\s+/g, ' ');
+      }
+      if (node.nodeType !== 1) {
+        return '';
+      }
+      
+      const tag = (node.rawTagName || '').toLowerCase();
+      if (skipTags.has(tag) || excluded.has(node)) {
+        return '';
+      }
+      
+      const children = () => node.childNodes.map(render).join('');
+      
+      switch (tag) {
+        case 'h1':
+        case 'h2':
+        case 'h3':
+        case 'h4':
+        case 'h5':
+        case 'h6': {
+          const text = children().replace(/\s+/g, ' ').trim();
+          return text ? `\n\n${'#'.repeat(Number(tag[1]))} ${text}\n\n` : '';
+        }
+        case 'p':
+          return `\n\n${children().trim()}\n\n`;
+        case 'br':
+          return '  \n';
+        case 'hr':
+          return '\n\n---\n\n';
+        case 'strong':
+        case 'b':
+          return wrapInline(children(), '**');
+        case 'em':
+        case 'i':
+          return wrapInline(children(), '_');
+        case 'del':
+        case 's':
+        case 'strike':
+          return wrapInline(children(), '~~');
+        case 'code': {
+          const code = node.text;
+          if (!code.trim()) return '';
+          const fence = code.includes('`') ? '``' : '`';
+          return `${fence}${code}${fence}`;
+        }
+        case 'pre': {
+          const codeNode = node.querySelector('code');
+          const language = ((codeNode || node).getAttribute('class') || '')
+            .match(/(?:lang|language)-([\w+#-]+)/)?.[1] || '';
+          const code = node.text.replace(/\n$/, '');
+          return `\n\n\`\`\`${language}\n${code}\n\`\`\`\n\n`;
+        }
+        case 'a': {
+          const text = children().replace(/\s+/g, ' ').trim();
+          const href = resolve(node.getAttribute('href'));
+          if (!text) return '';
+          return href ? `[${text}](${href})` : text;
+        }
+        case 'img': {
+          const src = resolve(node.getAttribute('src') || node.getAttribute('data-src'));
+          if (!src) return '';
+          const alt = (node.getAttribute('alt') || '').replace(/\s+/g, ' ').trim();
+          return `![${alt}](${src})`;
+        }
+        case 'ul':
+        case 'ol': {
+          const start = Number(node.getAttribute('start')) || 1;
+          const items = node.childNodes.filter(child => (child.rawTagName || '').toLowerCase() === 'li');
+          const lines = items.map((item, index) => {
+            const marker = tag === 'ol' ? `${start + index}. ` : '- ';
+            const body = tighten(item.childNodes.map(render).join(''));
+            return marker + body.split('\n').join(`\n${' '.repeat(marker.length)}`);
+          });
+          return `\n\n${lines.join('\n')}\n\n`;
+        }
+        case 'blockquote': {
+          const body = children().replace(/\n{3,}/g, '\n\n').trim();
+          return body ? `\n\n${body.split('\n').map(line => `> ${line}`.trimEnd()).join('\n')}\n\n` : '';
+        }
+        case 'table':
+          return this.convertTableToMarkdown(node, render);
+        default:
+          if (blockTags.has(tag)) {
+            return `\n\n${children()}\n\n`;
+          }
+          return children();
+      }
+    };
+    
+    // Tidy up: trim blank-line runs and stray indentation, but leave code fences alone
+    let inFence = false;
+    let previousBlank = true;
+    const lines = [];
+    
+    const markdown = containers.map(container => `\n\n${render(container)}\n\n`).join('');
+    
+    for (const line of markdown.split('\n')) {
+      if (line.startsWith('```')) {
+        inFence = !inFence;
+      }
+      
+      if (inFence || line.startsWith('```')) {
+        lines.push(line);
+        previousBlank = false;
+        continue;
+      }
+      
+      let cleaned = line.replace(/[ \t]+$/, trailing => (trailing === '  ' ? trailing : ''));
+      if (previousBlank) {
+        cleaned = cleaned.trimStart();
+      }
+      
+      const blank = cleaned.trim() === '';
+      if (blank && previousBlank) continue;
+      
+      lines.push(blank ? '' : cleaned);
+      previousBlank = blank;
+    }
+    
+    return lines.join('\n').trim() + '\n';
+  }
+  
+  /**
+   * Convert an HTML table to a GFM pipe table
+   * @private
+   */
+  convertTableToMarkdown(table, render) {
+    const rows = table.querySelectorAll('tr')
+      .map(row => row.childNodes
+        .filter(cell => ['th', 'td'].includes((cell.rawTagName || '').toLowerCase()))
+        .map(cell => cell.childNodes.map(render).join('')
+          .replace(/\s+/g, ' ')
+          .trim()
+          .replace(/\|/g, '\\|')))
+      .filter(cells => cells.length > 0);
+    
+    if (rows.length === 0) {
+      return '';
+    }
+    
+    const columns = Math.max(...rows.map(cells => cells.length));
+    const toLine = (cells) => `| ${Array.from({ length: columns }, (_, i) => cells[i] || '').join(' | ')} |`;
+    
+    return `\n\n${[
+      toLine(rows[0]),
+      `| ${Array(columns).fill('---').join(' | ')} |`,
+      ...rows.slice(1).map(toLine)
+    ].join('\n')}\n\n`;
+  }
+  
+  /**
+   * Collect crawlable links from a scrape result
+   */
+  discoverLinks(result, baseUrl) {
+    if (result.html) {
+      const links = this.extractLinks(result.html, baseUrl);
+      this.releaseDocument();
+      return links;
+    }
+    
+    // Fall back to the links captured in the structured content
+    try {
+      const content = JSON.parse(result.content);
+      return (content.links || []).map(link => link.href).filter(Boolean);
+    } catch {
+      return [];
+    }
+  }
+  
+  /**
+   * Extract absolute http(s) links from HTML
+   */
+  extractLinks(html, baseUrl) {
+    const root = this.parseDocument(html);
+    const base = this.getDocumentBaseUrl(root, baseUrl);
+    const links = new Set();
+    
+    root.querySelectorAll('a[href]').forEach(anchor => {
+      const href = anchor.getAttribute('href').trim();
+      if (!href || /^(?:javascript|mailto|tel|data):/i.test(href)) return;
+      
+      try {
+        const absolute = new URL(href, base);
+        if (absolute.protocol === 'http:' || absolute.protocol === 'https:') {
+          absolute.hash = '';
+          links.add(absolute.href);
+        }
+      } catch {
+        // Ignore unparseable hrefs
+      }
+    });
+    
+    return [...links];
+  }
+
+  /**
+   * Normalize a URL for crawl deduplication
+   */
+  normalizeCrawlUrl(url) {
+    try {
+      const parsed = new URL(url);
+      parsed.hash = '';
+      parsed.hostname = parsed.hostname.toLowerCase();
+      return parsed.href;
+    } catch {
+      return null;
+    }
   }
   
   /**
-   * Main scraping method with intelligent fallback
+   * Check a discovered URL against crawl include/exclude patterns
    */
-  async scrape(url, options = {}) {
-    const startTime = Date.now();
-    const config = { ...this.options, ...options };
+  shouldCrawlUrl(url, config) {
+    // Skip static assets that can never yield page content
+    const skipExtensions = /\.(?:jpe?g|png|gif|webp|svg|ico|css|js|mjs|woff2?|ttf|eot|mp[34]|webm|avi|mov|zip|gz|tar|rar|7z|exe|dmg|iso)$/i;
+    if (skipExtensions.test(new URL(url).pathname)) {
+      return false;
+    }
     
-    this.log(`🚀 Starting smart scrape for: ${url}`);
+    const include = [].concat(config.includePatterns || []);
+    const exclude = [].concat(config.excludePatterns || []);
     
-    let result = null;
-    let method = 'unknown';
-    let lastError = null;
+    if (exclude.some(pattern => this.matchesUrlPattern(url, pattern))) {
+      return false;
+    }
+    
+    return include.length === 0 || include.some(pattern => this.matchesUrlPattern(url, pattern));
+  }
+  
+  /**
+   * Match a URL against a RegExp or a string pattern
+   * String patterns match as substrings, with `*` as a wildcard
+   */
+  matchesUrlPattern(url, pattern) {
+    if (pattern instanceof RegExp) {
+      return pattern.test(url);
+    }
+    
+    const source = String(pattern)
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(source).test(url);
+  }
+  
+  /**
+   * Check whether robots.txt allows fetching a URL
+   * 
+   * @param {string} url - URL to check
+   * @param {object} options - Options (userAgent, robotsUserAgent, timeout)
+   * @returns {Promise<object>} { allowed, rule, crawlDelay }
+   */
+  async checkRobots(url, options = {}) {
+    const config = this.resolveConfig(options);
     
+    let parsed;
     try {
-      // Check if URL is a PDF (by extension or content-type check)
-      const isPdfUrl = url.toLowerCase().endsWith('.pdf') || 
-                       url.toLowerCase().includes('.pdf?') ||
-                       url.toLowerCase().includes('/pdf/');
-                       
-      if (isPdfUrl) {
-        this.log('  📄 PDF detected, using PDF parser...');
-        result = await this.tryPDFParse(url, config);
-        
-        if (result.success) {
-          method = 'pdf';
-          this.log('  ✅ PDF parsing successful');
-          
-          const totalTime = Date.now() - startTime;
-          return {
-            ...result,
-            method,
-            performance: {
-              totalTime,
-              method
-            },
-            stats: this.getStats()
-          };
-        } else {
-          this.log('  ❌ PDF parsing failed');
-          lastError = result.error;
-        }
-      }
-      
-      // Step 1: Try direct fetch first (fastest)
-      this.log('  🔄 Attempting direct fetch...');
-      result = await this.tryDirectFetch(url, config);
-      
-      if (result.success && !result.needsBrowser) {
-        method = 'direct-fetch';
-        this.log('  ✅ Direct fetch successful');
-      } else if (result.isPdf) {
-        // Direct fetch detected a PDF, try PDF parser
-        this.log('  📄 Direct fetch detected PDF content, using PDF parser...');
-        result = await this.tryPDFParse(url, config);
-        
-        if (result.success) {
-          method = 'pdf';
-          this.log('  ✅ PDF parsing successful');
-          
-          const totalTime = Date.now() - startTime;
-          return {
-            ...result,
-            method,
-            performance: {
-              totalTime,
-              method
-            },
-            stats: this.getStats()
-          };
-        } else {
-          this.log('  ❌ PDF parsing failed');
-          lastError = result.error;
-        }
-      } else {
-        this.log(result.needsBrowser ? '  ⚠️  Browser rendering required' : '  ❌ Direct fetch failed');
-        lastError = result.error;
-        
-        // Step 2: Try Lightpanda (fast browser)
-        this.log('  🐼 Attempting Lightpanda...');
-        result = await this.tryLightpanda(url, config);
-        
-        if (result.success) {
-          method = 'lightpanda';
-          this.log('  ✅ Lightpanda successful');
-        } else {
-          this.log('  ❌ Lightpanda failed, falling back to Puppeteer');
-          lastError = result.error;
-          
-          // Step 3: Fallback to Puppeteer (full browser)
-          this.log('  🔵 Attempting Puppeteer...');
-          result = await this.tryPuppeteer(url, config);
-          
-          if (result.success) {
-            method = 'puppeteer';
-            this.log('  ✅ Puppeteer successful');
-          } else {
-            method = 'failed';
-            this.log('  ❌ All methods failed');
-            lastError = result.error;
-          }
-        }
+      parsed = new URL(url);
+    } catch {
+      return { allowed: true, rule: null, crawlDelay: null };
+    }
+    
+    // robots.txt itself is always fetchable
+    if (parsed.pathname === '/robots.txt') {
+      return { allowed: true, rule: null, crawlDelay: null };
+    }
+    
+    const robots = await this.getRobots(parsed.origin, config);
+    const agent = config.robotsUserAgent || config.userAgent;
+    const group = this.selectRobotsGroup(robots.groups, agent);
+    
+    if (!group) {
+      return { allowed: true, rule: null, crawlDelay: null };
+    }
+    
+    // Longest matching rule wins; on a tie, Allow beats Disallow
+    const target = parsed.pathname + parsed.search;
+    let match = null;
+    for (const rule of group.rules) {
+      if (!rule.pattern.test(target)) continue;
+      if (!match ||
+          rule.path.length > match.path.length ||
+          (rule.path.length === match.path.length && rule.allow && !match.allow)) {
+        match = rule;
       }
-      
-      const totalTime = Date.now() - startTime;
-      
-      return {
-        ...result,
-        method,
-        performance: {
-          totalTime,
-          method
-        },
-        stats: this.getStats()
-      };
-      
-    } catch (error) {
-      return {
-        success: false,
-        method: 'error',
-        error: error.message,
-        performance: {
-          totalTime: Date.now() - startTime
-        }
-      };
     }
+    
+    return {
+      allowed: !match || match.allow,
+      rule: match ? `${match.allow ? 'Allow' : 'Disallow'}: ${match.path}` : null,
+      crawlDelay: group.crawlDelay
+    };
   }
   
   /**
-   * Direct HTTP fetch - fastest method for simple sites
+   * Fetch and cache robots.txt for an origin
+   * @private
    */
-  async tryDirectFetch(url, config) {
-    this.stats.directFetch.attempts++;
+  async getRobots(origin, config) {
+    const ttl = config.robotsCacheTTL ?? 24 * 60 * 60 * 1000;
+    const cached = this.robotsCache.get(origin);
+    if (cached && Date.now() - cached.fetchedAt < ttl) {
+      return cached;
+    }
     
+    let robots;
     try {
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), config.timeout);
       
-      const response = await fetch(url, {
+      const response = await fetch(`${origin}/robots.txt`, {
         headers: {
           'User-Agent': config.userAgent,
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-          'Accept-Language': 'en-US,en;q=0.5',
-          'Accept-Encoding': 'gzip, deflate',
-          'Connection': 'keep-alive',
-          'Upgrade-Insecure-Requests': '1'
+          'Accept': 'text/plain,*/*;q=0.8'
         },
+        agent: this.getProxyAgent(this.resolveProxy(config)),
         signal: controller.signal
       });
       
       clearTimeout(timeoutId);
       
-      if (!response.ok) {
-        return {
-          success: false,
-          error: `HTTP ${response.status}: ${response.statusText}`
-        };
-      }
-      
-      // Check if the response is actually a PDF
-      const contentType = response.headers.get('content-type') || '';
-      if (contentType.includes('application/pdf')) {
-        return {
-          success: false,
-          error: 'Content is PDF, should use PDF parser',
-          isPdf: true
-        };
+      if (response.ok) {
+        robots = this.parseRobots(await response.text());
+      } else if (response.status >= 400 && response.status < 500) {
+        // A missing robots.txt means no restrictions
+        robots = this.parseRobots('');
+      } else {
+        // Server errors mean the site may not be crawled for now
+        robots = this.parseRobots('User-agent: *\nDisallow: /');
       }
+    } catch (error) {
+      this.log(`  ⚠️ robots.txt unreachable for ${origin}: ${error.message}`);
+      robots = this.parseRobots('User-agent: *\nDisallow: /');
+    }
+    
+    robots.fetchedAt = Date.now();
+    this.robotsCache.set(origin, robots);
+    return robots;
+  }
+  
+  /**
+   * Parse robots.txt into user-agent groups and sitemap URLs
+   * @private
+   */
+  parseRobots(text) {
+    const groups = [];
+    const sitemaps = [];
+    let current = null;
+    let lastWasAgent = false;
+    
+    for (const rawLine of text.split(/\r?\n/)) {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const separator = line.indexOf(':');
+      if (separator === -1) continue;
       
-      // Get response as array buffer to check magic bytes
-      const buffer = await response.arrayBuffer();
-      const firstBytes = new Uint8Array(buffer.slice(0, 5));
-      const signature = Array.from(firstBytes).map(b => String.fromCharCode(b)).join('');
+      const field = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
       
-      // Check for PDF magic bytes
-      if (signature.startsWith('%PDF')) {
-        return {
-          success: false,
-          error: 'Content is PDF (detected by magic bytes), should use PDF parser',
-          isPdf: true
-        };
+      if (field === 'user-agent') {
+        // Consecutive user-agent lines share one group
+        if (!lastWasAgent || !current) {
+          current = { userAgents: [], rules: [], crawlDelay: null };
+          groups.push(current);
+        }
+        current.userAgents.push(value.toLowerCase());
+        lastWasAgent = true;
+        continue;
       }
       
-      // Convert buffer back to text for HTML processing
-      const html = new TextDecoder().decode(buffer);
-      
-      // Intelligent browser detection
-      const needsBrowser = this.detectBrowserRequirement(html, url);
+      lastWasAgent = false;
       
-      if (!needsBrowser) {
-        const content = this.extractContentFromHTML(html);
-        this.stats.directFetch.successes++;
-        
-        return {
-          success: true,
-          needsBrowser: false,
-          content,
-          html,
-          size: html.length,
-          contentType: response.headers.get('content-type') || 'text/html'
-        };
+      if (field === 'sitemap') {
+        if (value) sitemaps.push(value);
+      } else if (!current) {
+        continue;
+      } else if ((field === 'allow' || field === 'disallow') && value) {
+        current.rules.push({
+          allow: field === 'allow',
+          path: value,
+          pattern: this.compileRobotsPattern(value)
+        });
+      } else if (field === 'crawl-delay') {
+        const delay = parseFloat(value);
+        if (!Number.isNaN(delay) && delay >= 0) {
+          current.crawlDelay = delay;
+        }
+      }
+    }
+    
+    return { groups, sitemaps };
+  }
+  
+  /**
+   * Turn a robots.txt path pattern (`*` wildcard, `$` anchor) into a RegExp
+   * @private
+   */
+  compileRobotsPattern(rulePath) {
+    const anchored = rulePath.endsWith('$');
+    const source = (anchored ? rulePath.slice(0, -1) : rulePath)
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(`^${source}${anchored ? '$' : ''}`);
+  }
+  
+  /**
+   * Pick the robots.txt rules that apply to a user agent
+   * The most specific matching user-agent token wins, falling back to `*`
+   * @private
+   */
+  selectRobotsGroup(groups, userAgent) {
+    const agent = (userAgent || '').toLowerCase();
+    let bestToken = null;
+    
+    for (const group of groups) {
+      for (const token of group.userAgents) {
+        if (token !== '*' && agent.includes(token) &&
+            (!bestToken || token.length > bestToken.length)) {
+          bestToken = token;
+        }
+      }
+    }
+    
+    const token = bestToken || '*';
+    const matching = groups.filter(group => group.userAgents.includes(token));
+    if (matching.length === 0) {
+      return null;
+    }
+    
+    // Groups repeated for the same agent are merged
+    return {
+      rules: matching.flatMap(group => group.rules),
+      crawlDelay: matching.find(group => group.crawlDelay !== null)?.crawlDelay ?? null
+    };
+  }
+  
+  /**
+   * Wait until the robots.txt Crawl-delay for a URL's origin has passed
+   * @private
+   */
+  async waitForCrawlDelay(url, crawlDelay) {
+    const origin = new URL(url).origin;
+    const last = this.lastRequestByOrigin.get(origin) || 0;
+    const nextAllowed = last + crawlDelay * 1000;
+    const now = Date.now();
+    
+    // Reserve the slot before sleeping so overlapping scrapes queue up
+    this.lastRequestByOrigin.set(origin, Math.max(now, nextAllowed));
+    
+    if (nextAllowed > now) {
+      this.log(`  ⏳ Honoring Crawl-delay of ${crawlDelay}s for ${origin}`);
+      await new Promise(r => setTimeout(r, nextAllowed - now));
+    }
+  }
+  
+  /**
+   * Pick the next healthy proxy from the `proxy` option (round-robin)
+   * Unhealthy proxies sit out a cooldown; if every proxy is unhealthy, the
+   * one that recovers first is used
+   * @private
+   */
+  selectProxy(config) {
+    const proxies = [].concat(config.proxy || []).filter(Boolean);
+    if (proxies.length === 0) return null;
+    
+    const now = Date.now();
+    const healthy = proxies.filter(proxy => (this.proxyHealth.get(proxy)?.unhealthyUntil || 0) <= now);
+    
+    if (healthy.length === 0) {
+      return proxies.reduce((best, proxy) =>
+        this.proxyHealth.get(proxy).unhealthyUntil < this.proxyHealth.get(best).unhealthyUntil ? proxy : best);
+    }
+    
+    return healthy[this.proxyIndex++ % healthy.length];
+  }
+  
+  /**
+   * Proxy for a fetch method call: the one picked for this attempt, or the
+   * next from the rotation when a method is called directly
+   * @private
+   */
+  resolveProxy(config) {
+    return 'currentProxy' in config ? config.currentProxy : this.selectProxy(config);
+  }
+  
+  /**
+   * Track proxy health: connection-level failures and 407s count against a
+   * proxy, anything else the proxy delivered resets it
+   * @private
+   */
+  reportProxyResult(proxy, result, config) {
+    const health = this.proxyHealth.get(proxy) || { failures: 0, unhealthyUntil: 0 };
+    const proxyFailed = !result.success &&
+      (result.statusCode === 407 || RETRYABLE_ERROR_CODES.has(result.errorCode));
+    
+    if (!proxyFailed) {
+      health.failures = 0;
+    } else if (++health.failures >= (config.proxyMaxFailures ?? 3)) {
+      health.failures = 0;
+      health.unhealthyUntil = Date.now() + (config.proxyCooldown ?? 60000);
+      this.log(`  🚧 Proxy ${this.maskProxyUrl(proxy)} marked unhealthy`);
+    }
+    
+    this.proxyHealth.set(proxy, health);
+  }
+  
+  /**
+   * Get (and reuse) the node-fetch agent for a proxy
+   * HTTP proxies tunnel HTTPS with CONNECT; socks:// URLs use a SOCKS agent
+   * @private
+   */
+  getProxyAgent(proxy) {
+    if (!proxy) return undefined;
+    
+    if (!this.proxyAgents.has(proxy)) {
+      if (/^socks/i.test(proxy)) {
+        const agent = new SocksProxyAgent(proxy);
+        this.proxyAgents.set(proxy, () => agent);
       } else {
-        return {
-          success: true,
-          needsBrowser: true,
-          html,
-          size: html.length,
-          browserIndicators: this.getBrowserIndicators(html)
-        };
+        const httpAgent = new HttpProxyAgent(proxy);
+        const httpsAgent = new HttpsProxyAgent(proxy);
+        this.proxyAgents.set(proxy, (parsedUrl) => (parsedUrl.protocol === 'https:' ? httpsAgent : httpAgent));
       }
-      
-    } catch (error) {
-      return {
-        success: false,
-        error: error.message
-      };
     }
+    
+    return this.proxyAgents.get(proxy);
   }
   
   /**
-   * Lightpanda browser - fast browser engine for static/SSR sites
+   * Split a proxy URL into the server Chrome expects and its credentials
+   * @private
    */
-  async tryLightpanda(url, config) {
-    this.stats.lightpanda.attempts++;
+  parseProxyUrl(proxy) {
+    const parsed = new URL(proxy);
+    const scheme = parsed.protocol.replace(':', '') === 'socks5h' ? 'socks5' : parsed.protocol.replace(':', '');
     
-    if (!this.options.lightpandaPath) {
-      return {
-        success: false,
-        error: 'Lightpanda binary not found. Please install Lightpanda or provide path.'
-      };
-    }
+    return {
+      server: `${scheme}://${parsed.host}`,
+      username: decodeURIComponent(parsed.username),
+      password: decodeURIComponent(parsed.password)
+    };
+  }
+  
+  /**
+   * Chrome CLI flags for a proxy
+   * Chrome cannot take proxy credentials on the command line
+   * @private
+   */
+  getChromeProxyArgs(proxy) {
+    if (!proxy) return [];
     
+    const { server, username } = this.parseProxyUrl(proxy);
+    if (username) {
+      this.log('  ⚠️ Chrome CLI screenshots cannot authenticate to proxies; credentials are ignored');
+    }
+    return [`--proxy-server=${server}`];
+  }
+  
+  /**
+   * Proxy URL with the password hidden, for results and logs
+   * @private
+   */
+  maskProxyUrl(proxy) {
     try {
-      // Check if binary exists
-      const stats = statSync(this.options.lightpandaPath);
-      if (!stats.isFile()) {
-        return {
-          success: false,
-          error: 'Lightpanda binary is not a file'
-        };
+      const parsed = new URL(proxy);
+      if (parsed.password) {
+        parsed.password = '***';
       }
+      return parsed.href.replace(/\/$/, '');
     } catch {
-      return {
-        success: false,
-        error: 'Lightpanda binary not accessible'
-      };
+      return proxy;
+    }
+  }
+  
+  /**
+   * Run a request-making task through the per-domain scheduler
+   * Only active when the `rateLimit` option is set; 429/503 results slow the
+   * domain down and Retry-After is honored
+   * @private
+   */
+  async withRateLimit(url, config, task) {
+    const limits = this.getRateLimits(url, config);
+    if (!limits) {
+      return task();
     }
     
-    return new Promise((resolve) => {
-      const args = ['fetch', '--dump', url];
-      const process = spawn(this.options.lightpandaPath, args, {
-        timeout: config.timeout + 1000 // Add buffer for process timeout only
-      });
-      
-      let output = '';
-      let errorOutput = '';
-      
-      process.stdout.on('data', (data) => {
-        output += data.toString();
-      });
-      
-      process.stderr.on('data', (data) => {
-        errorOutput += data.toString();
-      });
-      
-      process.on('close', (code) => {
-        if (code === 0 && output.length > 0) {
-          const content = this.extractContentFromHTML(output);
-          this.stats.lightpanda.successes++;
-          
-          resolve({
-            success: true,
-            content,
-            html: output,
-            size: output.length,
-            exitCode: code
-          });
-        } else {
-          resolve({
-            success: false,
-            error: errorOutput || `Lightpanda exited with code ${code}`,
-            exitCode: code
-          });
-        }
-      });
-      
-      process.on('error', (error) => {
-        resolve({
-          success: false,
-          error: `Lightpanda process error: ${error.message}`
-        });
-      });
-    });
+    const host = this.getUrlHost(url);
+    const release = await this.scheduler.acquire(host, limits);
+    
+    try {
+      const result = await task();
+      const throttled = this.scheduler.report(host, result?.statusCode, result?.retryAfter, limits);
+      if (throttled) {
+        this.log(`  🐢 ${host} answered ${result.statusCode}, pausing it for ${Math.round(throttled / 1000)}s`);
+      }
+      return result;
+    } finally {
+      release();
+    }
   }
   
   /**
-   * Puppeteer browser - full Chromium for complex JavaScript sites
+   * Resolve the rate limits for a URL, with per-domain overrides
+   * @private
    */
-  async tryPuppeteer(url, config) {
-    this.stats.puppeteer.attempts++;
+  getRateLimits(url, config) {
+    if (!config.rateLimit) return null;
     
-    if (!puppeteer) {
-      throw new Error('Puppeteer is not available');
+    const { domains = {}, ...defaults } = config.rateLimit === true ? {} : config.rateLimit;
+    const host = this.getUrlHost(url);
+    const hostname = host.replace(/:\d+$/, '');
+    
+    return {
+      requestsPerSecond: 0,
+      minDelay: 0,
+      jitter: 0,
+      maxInFlight: Infinity,
+      maxBackoff: 5 * 60 * 1000,
+      ...defaults,
+      ...(domains[host] || domains[hostname] || {})
+    };
+  }
+  
+  /**
+   * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+   * @private
+   */
+  parseRetryAfter(value) {
+    if (!value) return null;
+    
+    if (/^\d+$/.test(value.trim())) {
+      return parseInt(value, 10) * 1000;
     }
     
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+  
+  /**
+   * Discover a site's URLs from its sitemaps
+   * Sitemaps are found via robots.txt `Sitemap:` lines and well-known paths,
+   * then sitemap indexes and gzipped sitemaps are expanded recursively
+   * 
+   * @param {string} origin - Site origin or any URL on the site
+   * @param {object} options - Discovery options (maxSitemaps, maxUrls, timeout)
+   * @returns {Promise<object>} Discovered URLs with lastmod, changefreq and priority
+   */
+  async discoverUrls(origin, options = {}) {
+    const startTime = Date.now();
+    const config = this.resolveConfig(options);
+    const maxSitemaps = config.maxSitemaps ?? 50;
+    const maxUrls = config.maxUrls ?? 50000;
+    
+    let siteOrigin;
     try {
-      if (!this.browser) {
-        this.browser = await puppeteer.launch({
-          headless: true,
-          args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-dev-shm-usage',
-            '--disable-accelerated-2d-canvas',
-            '--no-first-run',
-            '--no-zygote',
-            '--disable-gpu'
-          ]
-        });
-      }
-      
-      const page = await this.browser.newPage();
-      
-      // Set user agent and viewport
-      await page.setUserAgent(config.userAgent);
-      await page.setViewport({ width: 1280, height: 720 });
-      
-      // Block unnecessary resources for faster loading
-      await page.setRequestInterception(true);
-      page.on('request', (req) => {
-        const resourceType = req.resourceType();
-        if (['image', 'stylesheet', 'font', 'media'].includes(resourceType)) {
-          req.abort();
-        } else {
-          req.continue();
+      siteOrigin = new URL(/^https?:\/\//i.test(origin) ? origin : `https://${origin}`).origin;
+    } catch {
+      return {
+        success: false,
+        error: `Invalid origin: ${origin}`,
+        origin,
+        sitemaps: [],
+        urls: [],
+        performance: {
+          totalTime: Date.now() - startTime
         }
-      });
+      };
+    }
+    
+    this.log(`🗺️  Discovering sitemaps for: ${siteOrigin}`);
+    
+    const robots = await this.getRobots(siteOrigin, config);
+    const wellKnown = ['/sitemap.xml', '/sitemap_index.xml', '/sitemap-index.xml', '/sitemap.xml.gz']
+      .map(sitemapPath => `${siteOrigin}${sitemapPath}`);
+    
+    const queue = [...new Set([...robots.sitemaps, ...wellKnown])];
+    const fromRobots = new Set(robots.sitemaps);
+    const visited = new Set();
+    const sitemaps = [];
+    const urls = new Map();
+    
+    while (queue.length > 0 && sitemaps.length < maxSitemaps && urls.size < maxUrls) {
+      const sitemapUrl = queue.shift();
+      if (visited.has(sitemapUrl)) continue;
+      visited.add(sitemapUrl);
       
-      // Navigate with timeout
-      await page.goto(url, { 
-        waitUntil: 'networkidle0', 
-        timeout: config.timeout 
-      });
+      const sitemap = await this.fetchSitemap(sitemapUrl, config);
       
-      // Extract content using browser APIs
-      const content = await page.evaluate(() => {
-        // Get basic page info
-        const title = document.title;
-        const metaDescription = document.querySelector('meta[name="description"]')?.content || '';
-        const canonical = document.querySelector('link[rel="canonical"]')?.href || '';
-        
-        // Extract headings
-        const headings = Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6'))
-          .map(h => ({
-            level: h.tagName.toLowerCase(),
-            text: h.textContent.trim()
-          }))
-          .filter(h => h.text.length > 0)
-          .slice(0, 20);
-        
-        // Extract paragraphs
-        const paragraphs = Array.from(document.querySelectorAll('p'))
-          .map(p => p.textContent.trim())
-          .filter(text => text.length > 20)
-          .slice(0, 10);
-        
-        // Extract links
-        const links = Array.from(document.querySelectorAll('a[href]'))
-          .map(a => ({
-            text: a.textContent.trim(),
-            href: a.href
-          }))
-          .filter(link => link.text.length > 0)
-          .slice(0, 15);
-        
-        // Extract JSON-LD structured data
-        const structuredData = Array.from(document.querySelectorAll('script[type=\"application/ld+json\"]'))
-          .map(script => {
-            try {
-              return JSON.parse(script.textContent);
-            } catch {
-              return null;
-            }
-          })
-          .filter(data => data !== null);
-        
-        // Get page text content (truncated)
-        const bodyText = document.body.textContent
-          .replace(/\\s+/g, ' ')
-          .trim()
-          .substring(0, 3000);
-        
-        return {
-          title,
-          metaDescription,
-          canonical,
-          headings,
-          paragraphs,
-          links,
-          structuredData,
-          bodyText,
-          url: window.location.href
-        };
-      });
+      // Missing well-known paths are expected; only report real sitemaps and robots.txt entries
+      if (!sitemap.success && !fromRobots.has(sitemapUrl) && sitemap.notFound) {
+        continue;
+      }
       
-      await page.close();
-      this.stats.puppeteer.successes++;
+      sitemaps.push({
+        url: sitemapUrl,
+        type: sitemap.type || null,
+        entries: sitemap.entries?.length || 0,
+        error: sitemap.error
+      });
       
-      return {
-        success: true,
-        content: JSON.stringify(content, null, 2),
-        size: JSON.stringify(content).length
-      };
+      if (!sitemap.success) continue;
       
-    } catch (error) {
-      return {
-        success: false,
-        error: error.message
-      };
+      if (sitemap.type === 'index') {
+        this.log(`  📚 Sitemap index with ${sitemap.entries.length} sitemaps: ${sitemapUrl}`);
+        sitemap.entries.forEach(entry => queue.push(entry.url));
+      } else {
+        this.log(`  📄 Sitemap with ${sitemap.entries.length} URLs: ${sitemapUrl}`);
+        for (const entry of sitemap.entries) {
+          if (urls.size >= maxUrls) break;
+          if (!urls.has(entry.url)) {
+            urls.set(entry.url, { ...entry, sitemap: sitemapUrl });
+          }
+        }
+      }
     }
+    
+    return {
+      success: urls.size > 0,
+      origin: siteOrigin,
+      sitemaps,
+      urls: [...urls.values()],
+      error: urls.size === 0 ? 'No sitemap URLs found' : undefined,
+      performance: {
+        totalTime: Date.now() - startTime
+      }
+    };
   }
   
   /**
-   * PDF parsing method - handles PDF documents
+   * Download and parse a single sitemap (plain or gzipped)
+   * @private
    */
-  async tryPDFParse(url, config) {
-    this.stats.pdf.attempts++;
-    
+  async fetchSitemap(url, config) {
     try {
-      // Download PDF with timeout
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), config.timeout);
       
       const response = await fetch(url, {
         headers: {
           'User-Agent': config.userAgent,
-          'Accept': 'application/pdf,*/*'
+          'Accept': 'application/xml,text/xml,application/x-gzip,*/*;q=0.8'
         },
+        agent: this.getProxyAgent(this.resolveProxy(config)),
         signal: controller.signal
       });
       
@@ -719,241 +5090,400 @@ ${parsedContent.headings?.length ? `\nHeadings:\n${parsedContent.headings.map(h
       if (!response.ok) {
         return {
           success: false,
+          notFound: response.status === 404 || response.status === 410,
           error: `HTTP ${response.status}: ${response.statusText}`
         };
       }
       
-      // Check content type (be lenient - accept various content types)
-      const contentType = response.headers.get('content-type') || '';
-      const acceptableTypes = ['pdf', 'octet-stream', 'binary', 'download'];
-      const isAcceptableType = acceptableTypes.some(type => contentType.includes(type));
+      let { buffer } = await this.readBody(response, config.maxBytes);
       
-      if (!isAcceptableType && !url.toLowerCase().includes('.pdf')) {
-        return {
-          success: false,
-          error: `Not a PDF document: ${contentType}`
-        };
+      // Gzipped sitemaps are served as files, so check the gzip magic bytes.
+      // The output is capped so a small gzip bomb can't inflate without bound
+      if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+        try {
+          buffer = await gunzipAsync(buffer, { maxOutputLength: config.maxBytes || 20 * 1024 * 1024 });
+        } catch (error) {
+          if (error.code !== 'ERR_BUFFER_TOO_LARGE') throw error;
+          return {
+            success: false,
+            tooLarge: true,
+            error: `Sitemap too large: inflates to more than ${config.maxBytes || 20 * 1024 * 1024} bytes (maxBytes)`
+          };
+        }
       }
       
-      // Get PDF buffer
-      const arrayBuffer = await response.arrayBuffer();
-      const buffer = Buffer.from(arrayBuffer);
-      
-      // Check size limit (20MB)
-      if (buffer.length > 20 * 1024 * 1024) {
+      const xml = buffer.toString('utf8');
+      if (!/<(?:\w+:)?(?:urlset|sitemapindex)[\s>]/i.test(xml)) {
         return {
           success: false,
-          error: 'PDF too large (max 20MB)'
+          notFound: true,
+          error: 'Not a sitemap document'
         };
       }
       
-      // Parse PDF
-      const pdfData = await pdfParse(buffer);
-      
-      // Extract structured content
-      const content = {
-        title: pdfData.info?.Title || 'Untitled PDF',
-        author: pdfData.info?.Author || '',
-        subject: pdfData.info?.Subject || '',
-        keywords: pdfData.info?.Keywords || '',
-        creator: pdfData.info?.Creator || '',
-        producer: pdfData.info?.Producer || '',
-        creationDate: pdfData.info?.CreationDate || '',
-        modificationDate: pdfData.info?.ModificationDate || '',
-        pages: pdfData.numpages || 0,
-        text: pdfData.text || '',
-        metadata: pdfData.metadata || null,
-        url: url
-      };
-      
-      this.stats.pdf.successes++;
-      
       return {
         success: true,
-        content: JSON.stringify(content, null, 2),
-        size: buffer.length,
-        contentType: 'application/pdf',
-        pages: content.pages
+        ...this.parseSitemap(xml, url)
       };
-      
     } catch (error) {
       return {
         success: false,
-        error: `PDF parsing error: ${error.message}`
+        error: `Sitemap error: ${error.message}`,
+        ...(error.code === 'ERR_TOO_LARGE' ? { tooLarge: true } : {})
       };
     }
   }
   
   /**
-   * Intelligent detection of browser requirement
+   * Parse a sitemap or sitemap index document
+   * @private
    */
-  detectBrowserRequirement(html, url) {
-    // Whitelist simple sites that should always use direct fetch
-    const simpleSites = [
-      'example.com',
-      'httpbin.org',
-      'wikipedia.org',
-      'github.io',
-      'netlify.app',
-      'vercel.app'
-    ];
+  parseSitemap(xml, sitemapUrl) {
+    const isIndex = /<(?:\w+:)?sitemapindex[\s>]/i.test(xml);
+    const blockTag = isIndex ? 'sitemap' : 'url';
+    const blockPattern = new RegExp(`<(?:\\w+:)?${blockTag}(?:\\s[^>]*)?>([\\s\\S]*?)<\\/(?:\\w+:)?${blockTag}>`, 'gi');
     
-    if (simpleSites.some(site => url.includes(site))) {
-      return false; // Always use direct fetch for these
+    const readTag = (block, tag) => {
+      // Prefer the unprefixed tag so extensions like <image:loc> never shadow <loc>
+      const match = block.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)<\\/${tag}>`, 'i')) ||
+        block.match(new RegExp(`<\\w+:${tag}(?:\\s[^>]*)?>([\\s\\S]*?)<\\/\\w+:${tag}>`, 'i'));
+      if (!match) return null;
+      
+      const value = match[1]
+        .replace(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/, '$1')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&')
+        .trim();
+      return value || null;
+    };
+    
+    const entries = [];
+    for (const [, block] of xml.matchAll(blockPattern)) {
+      const loc = readTag(block, 'loc');
+      if (!loc) continue;
+      
+      let url;
+      try {
+        url = new URL(loc, sitemapUrl).href;
+      } catch {
+        continue;
+      }
+      
+      if (isIndex) {
+        entries.push({ url, lastmod: readTag(block, 'lastmod') });
+      } else {
+        const priority = parseFloat(readTag(block, 'priority'));
+        entries.push({
+          url,
+          lastmod: readTag(block, 'lastmod'),
+          changefreq: readTag(block, 'changefreq'),
+          priority: Number.isNaN(priority) ? null : priority
+        });
+      }
+    }
+    
+    return {
+      type: isIndex ? 'index' : 'urlset',
+      entries
+    };
+  }
+  
+  /**
+   * Fetch a URL through the HTTP cache
+   * Fresh entries are served without a request; stale ones are revalidated
+   * with If-None-Match / If-Modified-Since
+   * 
+   * @returns {Promise<{response: Response, cacheStatus: string|null}>}
+   *   cacheStatus is 'hit', 'miss' or 'revalidated' (null when caching is off)
+   * @private
+   */
+  async fetchWithCache(url, init, config) {
+    const cache = this.getCacheStore(config);
+    if (!cache || (init.method && init.method !== 'GET')) {
+      return { response: await this.fetchWithSession(url, init, config), cacheStatus: null };
     }
     
-    // Check for common SPA patterns (be more specific)
-    const spaIndicators = [
-      /<div[^>]*id=['"]?root['"]?[^>]*>\s*<\/div>/i,
-      /<div[^>]*id=['"]?app['"]?[^>]*>\s*<\/div>/i,
-      /<div[^>]*data-reactroot/i,
-      /window\.__NEXT_DATA__/i,
-      /window\.__NUXT__/i,
-      /_next\/static/i,
-      /__webpack_require__/i
-    ];
+    const key = this.getCacheKey(url, init, config);
+    const entry = await cache.get(key);
+    
+    if (entry && entry.expiresAt > Date.now()) {
+      this.log('  💾 Cache hit');
+      return { response: this.cacheEntryToResponse(entry), cacheStatus: 'hit' };
+    }
     
-    // Check for protection systems (more specific patterns)
-    const protectionIndicators = [
-      /cloudflare.*challenge/i,
-      /cloudflare.*protection/i,
-      /ray id.*cloudflare/i,
-      /please enable javascript/i,
-      /you need to enable javascript/i,
-      /this site requires javascript/i,
-      /jscript.*required/i,
-      /security check.*cloudflare/i,
-      /attention required.*cloudflare/i
-    ];
+    const headers = { ...init.headers };
+    if (entry?.headers.etag) {
+      headers['If-None-Match'] = entry.headers.etag;
+    }
+    if (entry?.headers['last-modified']) {
+      headers['If-Modified-Since'] = entry.headers['last-modified'];
+    }
     
-    // Domain-based checks for known SPA sites
-    const domainIndicators = [
-      /instagram\.com/i,
-      /twitter\.com/i,
-      /facebook\.com/i,
-      /linkedin\.com/i,
-      /maps\.google/i,
-      /gmail\.com/i,
-      /youtube\.com/i
-    ];
+    const response = await this.fetchWithSession(url, { ...init, headers }, config);
     
-    // Check if it's clearly a SPA or protected site
-    const hasSpaIndicators = spaIndicators.some(pattern => pattern.test(html));
-    const hasProtection = protectionIndicators.some(pattern => pattern.test(html));
-    const isKnownSpa = domainIndicators.some(pattern => pattern.test(url));
+    if (entry && response.status === 304) {
+      this.log('  💾 Cache revalidated');
+      const refreshed = {
+        ...entry,
+        headers: { ...entry.headers, ...this.pickCacheHeaders(response.headers) },
+        storedAt: Date.now()
+      };
+      refreshed.expiresAt = refreshed.storedAt + (this.getFreshnessLifetime(refreshed.headers, config) || 0);
+      await cache.set(key, refreshed);
+      return { response: this.cacheEntryToResponse(refreshed), cacheStatus: 'revalidated' };
+    }
     
-    // Check for minimal content BUT only if we also have SPA indicators
-    const bodyContent = html.match(/<body[^>]*>([\s\S]*)<\/body>/i)?.[1] || '';
-    const textContent = bodyContent
-      .replace(/<script[\s\S]*?<\/script>/gi, '')
-      .replace(/<style[\s\S]*?<\/style>/gi, '')
-      .replace(/<[^>]+>/g, ' ')
-      .replace(/\s+/g, ' ')
-      .trim();
+    const cacheHeaders = this.pickCacheHeaders(response.headers);
+    const lifetime = this.getFreshnessLifetime(cacheHeaders, config);
+    const storable = response.status === 200 && lifetime !== null &&
+      (lifetime > 0 || cacheHeaders.etag || cacheHeaders['last-modified']);
     
-    const hasMinimalContent = textContent.length < 200; // More conservative threshold
-    const isLikelySpa = hasMinimalContent && hasSpaIndicators;
+    if (!storable) {
+      if (entry) await cache.delete(key);
+      return { response, cacheStatus: 'miss' };
+    }
     
-    // Only require browser if we have strong indicators
-    const needsBrowser = hasProtection || isKnownSpa || isLikelySpa;
+    const { buffer: body } = await this.readBody(response, config.maxBytes);
+    const stored = {
+      url: response.url || url,
+      status: response.status,
+      statusText: response.statusText,
+      headers: cacheHeaders,
+      body: body.toString('base64'),
+      storedAt: Date.now()
+    };
+    stored.expiresAt = stored.storedAt + lifetime;
+    await cache.set(key, stored);
     
-    return needsBrowser;
+    return { response: this.cacheEntryToResponse(stored, body), cacheStatus: 'miss' };
   }
   
   /**
-   * Get browser requirement indicators for debugging
+   * Resolve the request method, extra headers and body from the scrape options
+   * `auth` becomes an Authorization header: { username, password } for Basic,
+   * { token } for Bearer. Plain-object bodies are sent as JSON.
+   * @private
    */
-  getBrowserIndicators(html) {
-    const indicators = [];
+  getRequestOptions(config) {
+    const headers = { ...(config.headers || {}) };
     
-    if (/<div[^>]*id=['"]?root['"]?[^>]*>\s*<\/div>/i.test(html)) {
-      indicators.push('React root div detected');
-    }
-    if (/window\.__NEXT_DATA__/i.test(html)) {
-      indicators.push('Next.js data detected');
-    }
-    if (/cloudflare.*challenge/i.test(html)) {
-      indicators.push('Cloudflare challenge detected');
+    if (config.auth?.token) {
+      headers['Authorization'] = `Bearer ${config.auth.token}`;
+    } else if (config.auth?.username !== undefined) {
+      headers['Authorization'] = `Basic ${Buffer.from(`${config.auth.username}:${config.auth.password || ''}`).toString('base64')}`;
     }
-    if (/cloudflare.*protection/i.test(html)) {
-      indicators.push('Cloudflare protection detected');
+    
+    // A custom Authorization header wins over `auth`
+    const custom = Object.keys(config.headers || {}).find(name => name.toLowerCase() === 'authorization');
+    if (custom) {
+      delete headers[custom];
+      headers['Authorization'] = config.headers[custom];
     }
-    if (/please enable javascript/i.test(html)) {
-      indicators.push('JavaScript required message detected');
+    
+    let body = config.body;
+    if (body && typeof body === 'object' && !ArrayBuffer.isView(body) && !(body instanceof URLSearchParams)) {
+      body = JSON.stringify(body);
+      if (!Object.keys(headers).some(name => name.toLowerCase() === 'content-type')) {
+        headers['Content-Type'] = 'application/json';
+      }
     }
     
-    return indicators;
+    return {
+      method: (config.method || (body !== undefined ? 'POST' : 'GET')).toUpperCase(),
+      headers,
+      body
+    };
   }
   
   /**
-   * Extract structured content from HTML
+   * Content-Type for a request body when the caller didn't set one
+   * @private
    */
-  extractContentFromHTML(html) {
-    try {
-      // Basic content extraction
-      const title = html.match(/<title[^>]*>([^<]+)<\/title>/i)?.[1] || '';
-      const metaDescription = html.match(/<meta[^>]*name=['"]description['"][^>]*content=['"]([^'"]*)['"]/i)?.[1] || '';
-      
-      // Extract JSON-LD structured data
-      const jsonLdMatches = [...html.matchAll(/<script[^>]*type=['"]application\/ld\+json['"][^>]*>([\s\S]*?)<\/script>/gi)];
-      const structuredData = [];
-      
-      jsonLdMatches.forEach(match => {
-        try {
-          const data = JSON.parse(match[1]);
-          structuredData.push(data);
-        } catch {
-          // Ignore malformed JSON
+  getBodyHeaders(request) {
+    if (Object.keys(request.headers).some(name => name.toLowerCase() === 'content-type')) {
+      return {};
+    }
+    return request.body instanceof URLSearchParams ?
+      { 'Content-Type': 'application/x-www-form-urlencoded' } :
+      {};
+  }
+  
+  /**
+   * Merge header objects; later names replace earlier ones case-insensitively
+   * @private
+   */
+  mergeHeaders(...sources) {
+    const merged = {};
+    for (const source of sources) {
+      for (const [name, value] of Object.entries(source || {})) {
+        for (const existing of Object.keys(merged)) {
+          if (existing.toLowerCase() === name.toLowerCase()) delete merged[existing];
         }
+        merged[name] = value;
+      }
+    }
+    return merged;
+  }
+  
+  /**
+   * Fetch with the session's cookie jar
+   * Redirects are followed by hand so cookies set along the way are stored
+   * and sent to every hop
+   * @private
+   */
+  async fetchWithSession(url, init, config) {
+    const jar = config.session?.cookies;
+    if (!jar) {
+      return fetch(url, init);
+    }
+    
+    let current = url;
+    let request = { ...init };
+    
+    for (let redirects = 0; redirects <= 20; redirects++) {
+      const cookie = jar.getCookieHeader(current);
+      const response = await fetch(current, {
+        ...request,
+        headers: { ...request.headers, ...(cookie ? { 'Cookie': cookie } : {}) },
+        redirect: 'manual'
       });
       
-      // Extract window state data
-      const windowDataMatch = html.match(/window\.__(?:INITIAL_STATE__|INITIAL_DATA__|NEXT_DATA__)__\s*=\s*({[\s\S]*?});/);
-      let windowData = null;
-      if (windowDataMatch) {
-        try {
-          windowData = JSON.parse(windowDataMatch[1]);
-        } catch {
-          windowData = 'Found but unparseable';
-        }
-      }
+      jar.setCookies(response.headers.raw()['set-cookie'] || [], current);
       
-      // Extract main content
-      const bodyMatch = html.match(/<body[^>]*>([\s\S]*)<\/body>/i);
-      let textContent = '';
-      if (bodyMatch) {
-        textContent = bodyMatch[1]
-          .replace(/<script[\s\S]*?<\/script>/gi, '')
-          .replace(/<style[\s\S]*?<\/style>/gi, '')
-          .replace(/<[^>]+>/g, ' ')
-          .replace(/\s+/g, ' ')
-          .trim()
-          .substring(0, 2000);
+      const location = response.headers.get('location');
+      if (![301, 302, 303, 307, 308].includes(response.status) || !location) {
+        return response;
       }
       
-      // Extract meta tags
-      const metaTags = {};
-      const metaMatches = [...html.matchAll(/<meta[^>]*(?:property|name)=['"]([^'"]+)['"][^>]*content=['"]([^'"]*)['"]/gi)];
-      metaMatches.slice(0, 15).forEach(match => {
-        metaTags[match[1]] = match[2];
-      });
+      const next = new URL(location, current);
       
-      return JSON.stringify({
-        title,
-        metaDescription,
-        structuredData: structuredData.length > 0 ? structuredData : null,
-        windowData,
-        metaTags: Object.keys(metaTags).length > 0 ? metaTags : null,
-        content: textContent,
-        extractedAt: new Date().toISOString()
-      }, null, 2);
+      // Never forward credentials to another origin
+      if (next.origin !== new URL(current).origin) {
+        request = {
+          ...request,
+          headers: Object.fromEntries(Object.entries(request.headers || {})
+            .filter(([name]) => name.toLowerCase() !== 'authorization'))
+        };
+      }
+      current = next.href;
       
-    } catch (error) {
-      return JSON.stringify({
-        error: 'Content extraction failed',
-        message: error.message,
-        rawLength: html.length
-      }, null, 2);
+      // Like browsers, 303s (and 301/302 after a POST) continue as a GET without a body
+      if (response.status === 303 || ((response.status === 301 || response.status === 302) && request.method === 'POST')) {
+        const { body, ...rest } = request;
+        request = { ...rest, method: 'GET' };
+      }
+    }
+    
+    throw new Error(`Too many redirects for ${url}`);
+  }
+  
+  /**
+   * Resolve the cache store for a call (null when caching is off)
+   * @private
+   */
+  getCacheStore(config) {
+    if (!config.cache) return null;
+    if (typeof config.cache === 'object') return config.cache;
+    
+    const type = config.cache === 'file' ? 'file' : 'memory';
+    if (!this.cacheStores[type]) {
+      this.cacheStores[type] = type === 'file' ?
+        new FileCache({ dir: config.cacheDir }) :
+        new MemoryCache({ maxEntries: config.cacheMaxEntries });
+    }
+    return this.cacheStores[type];
+  }
+  
+  /**
+   * Cache key from the normalized URL and the request options that change the response
+   * @private
+   */
+  getCacheKey(url, init, config) {
+    let normalized = url;
+    try {
+      const parsed = new URL(url);
+      parsed.hash = '';
+      parsed.hostname = parsed.hostname.toLowerCase();
+      parsed.searchParams.sort();
+      normalized = parsed.href;
+    } catch {
+      // Key on the raw URL
+    }
+    
+    return createHash('sha256')
+      .update(JSON.stringify([
+        normalized,
+        Object.entries(init.headers || {}).map(([name, value]) => [name.toLowerCase(), value]).sort(),
+        config.session ? config.session.cookies.getCookieHeader(url) : ''
+      ]))
+      .digest('hex');
+  }
+  
+  /**
+   * Keep the response headers needed to serve and revalidate a cached entry
+   * @private
+   */
+  pickCacheHeaders(headers) {
+    const picked = {};
+    for (const name of ['content-type', 'etag', 'last-modified', 'cache-control', 'expires', 'date']) {
+      const value = headers.get(name);
+      if (value) picked[name] = value;
+    }
+    return picked;
+  }
+  
+  /**
+   * Freshness lifetime in ms from Cache-Control / Expires, falling back to `cacheTtl`
+   * Returns null when the response must not be stored
+   * @private
+   */
+  getFreshnessLifetime(headers, config) {
+    const directives = {};
+    for (const part of (headers['cache-control'] || '').toLowerCase().split(',')) {
+      const [name, value] = part.trim().split('=');
+      if (name) directives[name] = value === undefined ? true : value.replace(/"/g, '');
+    }
+    
+    if (directives['no-store']) return null;
+    if (directives['no-cache']) return 0;
+    
+    if (directives['max-age'] !== undefined) {
+      const maxAge = parseInt(directives['max-age'], 10);
+      return Number.isNaN(maxAge) ? 0 : Math.max(0, maxAge * 1000);
+    }
+    
+    if (headers.expires) {
+      const expires = Date.parse(headers.expires);
+      const date = headers.date ? Date.parse(headers.date) : Date.now();
+      return Number.isNaN(expires) ? 0 : Math.max(0, expires - (Number.isNaN(date) ? Date.now() : date));
+    }
+    
+    return config.cacheTtl || 0;
+  }
+  
+  /**
+   * Rebuild a fetch Response from a cache entry
+   * @private
+   */
+  cacheEntryToResponse(entry, body = Buffer.from(entry.body, 'base64')) {
+    return new Response(body, {
+      url: entry.url,
+      status: entry.status,
+      statusText: entry.statusText,
+      headers: entry.headers
+    });
+  }
+  
+  /**
+   * Remove every entry from the configured HTTP cache
+   */
+  async clearCache(options = {}) {
+    const cache = this.getCacheStore({ ...this.options, ...options });
+    if (cache) {
+      await cache.clear();
     }
   }
   
@@ -1047,10 +5577,13 @@ ${parsedContent.headings?.length ? `\nHeadings:\n${parsedContent.headings.map(h
    * Cleanup resources
    */
   async cleanup() {
-    if (this.browser) {
-      await this.browser.close();
-      this.browser = null;
-    }
+    await this.pagePool.close();
+    
+    const servers = [...this.lightpandaServers.values()];
+    this.lightpandaServers.clear();
+    await Promise.all(servers.map(launch =>
+      launch.then(server => this.stopLightpandaServer(server), () => {})
+    ));
   }
   
   /**
@@ -1058,31 +5591,16 @@ ${parsedContent.headings?.length ? `\nHeadings:\n${parsedContent.headings.map(h
    */
   async screenshot(url, options = {}) {
     const startTime = Date.now();
-    const config = { ...this.options, ...options };
+    const config = this.resolveConfig(options);
     
     this.log(`📸 Taking screenshot for: ${url}`);
     
-    try {
-      const screenshot = await this.takeScreenshotWithChrome(url, config);
-      
-      return {
-        success: !!screenshot,
-        screenshot,
-        method: 'chrome-screenshot',
-        performance: {
-          totalTime: Date.now() - startTime
-        }
-      };
-    } catch (error) {
-      return {
-        success: false,
-        error: error.message,
-        method: 'chrome-screenshot',
-        performance: {
-          totalTime: Date.now() - startTime
-        }
-      };
-    }
+    return this.captureScreenshot(url, config, startTime, {
+      method: puppeteer ? 'puppeteer-screenshot' : 'chrome-screenshot',
+      fallbackMethod: 'chrome-screenshot',
+      waitUntil: 'networkidle0',
+      chrome: (attemptConfig) => this.takeScreenshotWithChrome(url, attemptConfig)
+    });
   }
   
   /**
@@ -1090,21 +5608,68 @@ ${parsedContent.headings?.length ? `\nHeadings:\n${parsedContent.headings.map(h
    */
   async quickshot(url, options = {}) {
     const startTime = Date.now();
-    const config = { 
-      ...this.options, 
+    const config = this.resolveConfig({
       ...options,
       timeout: options.timeout || 15000 // Longer timeout for screenshots
-    };
+    });
     
     this.log(`⚡ Taking quick screenshot for: ${url}`);
     
+    return this.captureScreenshot(url, config, startTime, {
+      method: 'quickshot',
+      fallbackMethod: 'quickshot',
+      waitUntil: 'load',
+      chrome: (attemptConfig) => this.takeScreenshotOptimized(url, attemptConfig)
+    });
+  }
+  
+  /**
+   * Capture with Puppeteer when it is installed, otherwise (or when the
+   * browser fails to start) with the Chrome CLI, which only supports the
+   * viewport options
+   * @private
+   */
+  async captureScreenshot(url, config, startTime, { method, fallbackMethod, waitUntil, chrome }) {
+    // Accept the common 'jpg' spelling of Puppeteer's 'jpeg'
+    if (config.type === 'jpg') {
+      config = { ...config, type: 'jpeg' };
+    }
+    
+    const proxy = this.selectProxy(config);
+    const attemptConfig = { ...config, currentProxy: proxy };
+    const unsupported = this.getChromeScreenshotUnsupported(config);
+    let usedMethod = method;
+    
     try {
-      const screenshot = await this.takeScreenshotOptimized(url, config);
+      if (config.type && !['png', 'jpeg', 'webp'].includes(config.type)) {
+        throw new Error(`Unsupported screenshot type: ${config.type} (use png, jpeg or webp)`);
+      }
+      
+      let result = null;
+      
+      if (puppeteer) {
+        try {
+          result = await this.withRateLimit(url, config, () => this.takeScreenshotWithPuppeteer(url, attemptConfig, waitUntil));
+        } catch (error) {
+          if (unsupported) throw error;
+          this.log(`  ⚠️  Puppeteer screenshot failed (${error.message}), using Chrome CLI`);
+        }
+      } else if (unsupported) {
+        throw new Error(`Puppeteer is required for ${unsupported}`);
+      }
+      
+      if (!result) {
+        usedMethod = fallbackMethod;
+        result = { screenshot: await this.withRateLimit(url, config, () => chrome(attemptConfig)) };
+      }
+      
+      const { statusCode, ...fields } = result;
       
       return {
-        success: !!screenshot,
-        screenshot,
-        method: 'quickshot',
+        success: !!result.screenshot,
+        ...fields,
+        method: usedMethod,
+        ...(proxy ? { proxy: this.maskProxyUrl(proxy) } : {}),
         performance: {
           totalTime: Date.now() - startTime
         }
@@ -1113,7 +5678,7 @@ ${parsedContent.headings?.length ? `\nHeadings:\n${parsedContent.headings.map(h
       return {
         success: false,
         error: error.message,
-        method: 'quickshot',
+        method: usedMethod,
         performance: {
           totalTime: Date.now() - startTime
         }
@@ -1121,6 +5686,84 @@ ${parsedContent.headings?.length ? `\nHeadings:\n${parsedContent.headings.map(h
     }
   }
   
+  /**
+   * Name the screenshot options the Chrome CLI can't honor, if any are set
+   * @private
+   */
+  getChromeScreenshotUnsupported(config) {
+    const unsupported = [
+      config.actions?.length && 'page actions',
+      config.fullPage && 'full-page screenshots',
+      config.selector && 'element screenshots',
+      config.type && config.type !== 'png' && `${config.type} screenshots`,
+      // Puppeteer ignores quality for PNGs, so it only matters for other formats
+      config.quality !== undefined && (config.type || 'png') !== 'png' && 'screenshot quality',
+      config.waitForSelector && 'waitForSelector'
+    ].filter(Boolean);
+    
+    return unsupported.length > 0 ? unsupported.join(', ') : null;
+  }
+  
+  /**
+   * Take screenshot in a Puppeteer page: runs page actions, waits for
+   * waitForSelector, then captures the viewport, the full page or an element
+   */
+  async takeScreenshotWithPuppeteer(url, config, waitUntil = 'networkidle0') {
+    const proxy = this.resolveProxy(config);
+    const lease = await this.pagePool.acquire({
+      maxPages: config.maxConcurrentPages,
+      recycleAfter: config.browserRecycleAfter,
+      proxyServer: proxy ? this.parseProxyUrl(proxy).server : null
+    });
+    
+    try {
+      const { page } = lease;
+      const type = config.type || 'png';
+      
+      await this.preparePage(page, url, config, { proxy, blockResources: false, viewport: false });
+      await page.setViewport({
+        width: config.viewport?.width || 1280,
+        height: config.viewport?.height || 800,
+        deviceScaleFactor: config.deviceScaleFactor || 1
+      });
+      
+      const response = await page.goto(url, { waitUntil, timeout: config.timeout });
+      const statusCode = response ? response.status() : undefined;
+      
+      const actions = await this.runPageActions(page, config.actions, config);
+      const actionError = this.getActionError(actions);
+      if (actionError) {
+        return { screenshot: null, error: actionError, actions, statusCode };
+      }
+      
+      if (config.waitForSelector) {
+        await page.waitForSelector(config.waitForSelector, { visible: true, timeout: config.timeout });
+      }
+      
+      const captureOptions = {
+        type,
+        encoding: 'base64',
+        // PNG is lossless and rejects a quality setting
+        ...(type !== 'png' && config.quality !== undefined ? { quality: config.quality } : {})
+      };
+      
+      let base64;
+      if (config.selector) {
+        const element = await page.$(config.selector);
+        if (!element) {
+          return { screenshot: null, error: `No element matches selector: ${config.selector}`, actions, statusCode };
+        }
+        base64 = await element.screenshot(captureOptions);
+      } else {
+        base64 = await page.screenshot({ ...captureOptions, fullPage: !!config.fullPage });
+      }
+      
+      return { screenshot: `data:image/${type};base64,${base64}`, actions, statusCode };
+    } finally {
+      await lease.release();
+    }
+  }
+  
   /**
    * Take screenshot using Chrome CLI
    */
@@ -1137,9 +5780,10 @@ ${parsedContent.headings?.length ? `\nHeadings:\n${parsedContent.headings.map(h
         '--disable-blink-features=AutomationControlled',
         '--user-agent=' + config.userAgent,
         '--screenshot=' + tempFile,
-        '--window-size=1280,800',
+        ...this.getChromeViewportArgs(config),
         '--hide-scrollbars',
         '--virtual-time-budget=10000',
+        ...this.getChromeProxyArgs(this.resolveProxy(config)),
         url
       ];
       
@@ -1228,10 +5872,11 @@ ${parsedContent.headings?.length ? `\nHeadings:\n${parsedContent.headings.map(h
         '--disable-renderer-backgrounding',
         '--user-agent=' + config.userAgent,
         '--screenshot=' + tempFile,
-        '--window-size=1280,800',
+        ...this.getChromeViewportArgs(config),
         '--hide-scrollbars',
         '--run-all-compositor-stages-before-draw',
         `--virtual-time-budget=${virtualTimeBudget}`,
+        ...this.getChromeProxyArgs(this.resolveProxy(config)),
         url
       ];
       
@@ -1292,6 +5937,19 @@ ${parsedContent.headings?.length ? `\nHeadings:\n${parsedContent.headings.map(h
     }
   }
   
+  /**
+   * Chrome CLI window size and device scale factor for a screenshot
+   * @private
+   */
+  getChromeViewportArgs(config) {
+    const width = config.viewport?.width || 1280;
+    const height = config.viewport?.height || 800;
+    return [
+      `--window-size=${width},${height}`,
+      ...(config.deviceScaleFactor ? [`--force-device-scale-factor=${config.deviceScaleFactor}`] : [])
+    ];
+  }
+  
   /**
    * Find Chrome/Chromium binary path
    */
@@ -1371,6 +6029,18 @@ export async function smartScrape(url, options = {}) {
   }
 }
 
+export async function smartCrawl(startUrl, options = {}) {
+  const scraper = new BNCASmartScraper(options);
+  try {
+    const result = await scraper.crawl(startUrl, options);
+    await scraper.cleanup();
+    return result;
+  } catch (error) {
+    await scraper.cleanup();
+    throw error;
+  }
+}
+
 export async function smartScreenshot(url, options = {}) {
   const scraper = new BNCASmartScraper(options);
   try {
@@ -1378,6 +6048,8 @@ export async function smartScreenshot(url, options = {}) {
     return result;
   } catch (error) {
     throw error;
+  } finally {
+    await scraper.cleanup();
   }
 }
 
@@ -1388,6 +6060,8 @@ export async function quickShot(url, options = {}) {
     return result;
   } catch (error) {
     throw error;
+  } finally {
+    await scraper.cleanup();
   }
 }
 